@@ -1,530 +1,444 @@
-// --- Simple in-memory session state (persists while page is open) ---
-const sessionState = {
-  extraPlantations: [],       // your plantations beyond starting
-  quarries: 0,                // your quarries
-  buildings: [],              // your buildings
-  opponent: {
-    extraPlantations: [],     // opponent plantations beyond starting
-    quarries: 0,
-    buildings: []
-  },
-  // simple per-session preference tracker
-  feedbackCounts: {},         // key -> count
-  turnInRound: 1,             // 1–6 for the first round
-  roundNumber: 1              // we’re focusing on early rounds, start at 1
-};
-
-// --- Building definitions used for AI scoring (subset, early-game focus) ---
-const BUILDINGS = [
-  {
-    name: "Small Indigo Plant",
-    type: "production",
-    crop: "Indigo",
-    cost: 1,
-    baseValue: 3.0
-  },
-  {
-    name: "Small Sugar Mill",
-    type: "production",
-    crop: "Sugar",
-    cost: 2,
-    baseValue: 3.2
-  },
-  {
-    name: "Small Market",
-    type: "violet",
-    crop: null,
-    cost: 1,
-    baseValue: 2.5
-  },
-  {
-    name: "Hacienda",
-    type: "violet",
-    crop: null,
-    cost: 2,
-    baseValue: 2.8
-  }
-];
-
-// --- Cost map for all base-game buildings we allow in selectors ---
-const BUILDING_COSTS = {
-  "Small Indigo Plant": 1,
-  "Small Sugar Mill": 2,
-  "Indigo Plant": 3,
-  "Sugar Mill": 4,
-  "Tobacco Storage": 5,
-  "Coffee Roaster": 6,
-
-  "Small Market": 1,
-  "Hacienda": 2,
-  "Construction Hut": 2,
-  "Small Warehouse": 3,
-  "Hospice": 4,
-  "Office": 5,
-  "Large Market": 5,
-  "Large Warehouse": 6,
-  "University": 8,
-  "Factory": 7,
-  "Harbor": 8,
-  "Wharf": 9,
-
-  "Guild Hall": 10,
-  "Residence": 10,
-  "Fortress": 10,
-  "Customs House": 10,
-  "City Hall": 10,
-
-  // treat "Other" and unknowns as costless for now
-  "Other": 0
-};
+// --- Page state ---
+// The page's copy of the session; restoreGameState fills it from the logged snapshot.
+const sessionState = createSessionState();
 
-// --- Move preference helpers ---
+// --- UI state helpers ---
 
-function moveKey(role, plantation, building) {
-  return `${role || ""}|${plantation || ""}|${building || ""}`;
+// Session-state object holding a player's board ("you" live at the top level).
+function playerSession(who) {
+  if (who === "you") return sessionState;
+  if (who === "opponent") return sessionState.opponent;
+  return sessionState.otherOpponents[who];
 }
 
-function recordFeedback(role, plantation, building) {
-  const key = moveKey(role, plantation, building);
-  if (!key) return;
-  sessionState.feedbackCounts[key] = (sessionState.feedbackCounts[key] || 0) + 1;
+// Element ids of each board card start with this ("your-goods-display", "opp-…", "opponent2-…").
+function boardPrefix(who) {
+  if (who === "you") return "your";
+  return who === "opponent" ? "opp" : who;
 }
 
-function feedbackBonus(role, plantation, building) {
-  const key = moveKey(role, plantation, building);
-  const count = sessionState.feedbackCounts[key] || 0;
-  return 0.3 * count;
+function startingPlantationFor(who) {
+  return sessionState.startingPlantations[who];
 }
 
-// --- Scoring constants & helpers ---
-
-const PLANTATION_VALUES_BASE = {
-  Corn: 3.1,
-  Sugar: 2.8,
-  Indigo: 1.8,
-  Tobacco: 2.4,
-  Coffee: 2.3
-};
-
-function plantationSynergyBonus(plantation, playerBoard) {
-  let bonus = 0;
-
-  if (plantation === playerBoard.startingPlantation) {
-    if (plantation === "Corn") {
-      bonus += 0.9;
-    } else if (plantation === "Indigo") {
-      bonus += 0.2;
-    } else {
-      bonus += 0.6;
-    }
-  }
-
-  const all = [playerBoard.startingPlantation, ...playerBoard.extraPlantations];
-  const uniqueTypes = new Set(all);
+function tableSeats() {
+  return seatsFor(sessionState.playerCount);
+}
 
-  if (!uniqueTypes.has(plantation)) {
-    bonus += 0.5;
-  }
+function faceUpSelects() {
+  const tiles = setupFor(sessionState.playerCount).faceUpTiles;
+  return Array.from(document.querySelectorAll(".plantation")).slice(0, tiles);
+}
 
-  return bonus;
+// "your pick", "your opponent's pick" or "Opponent 2's pick".
+function describeWhosePick(who) {
+  if (who === "you") return "your pick";
+  return tableSeats().length > 2 ? `${seatLabel(who, sessionState.playerCount)}'s pick` : "your opponent's pick";
 }
 
-function plantationDenyBonus(plantation, opponentBoard) {
-  let bonus = 0;
-  if (plantation === opponentBoard.startingPlantation) {
-    bonus += 0.4;
-  }
-  return bonus;
+function readStateFromUI() {
+  const state = stateFromSnapshot(captureGameState());
+  const oppLastRole = document.getElementById("opp-last-role").value || null;
+  state.opponent.lastRole = oppLastRole;
+  state.roundState.takenRoles = oppLastRole ? [{ by: "opp", role: oppLastRole }] : [];
+  return state;
 }
 
-function scoreQuarryChoice(you, context) {
-  let score = 2.7;
-  if (context.turnNumber <= 3) score += 0.5;
-  const q = you.quarries || 0;
-  if (q === 0) score += 0.8;
-  else if (q === 1) score += 0.3;
-  else score -= 0.3 * (q - 1);
-  return score;
+// Cards for the opponents beyond the first, laid out like the first opponent's card.
+function renderOtherOpponentBoards() {
+  const container = document.getElementById("other-opponent-boards");
+  if (!container) return;
+  const seats = tableSeats().slice(2);
+  if (container.dataset.seats === seats.join(",")) return;
+
+  container.dataset.seats = seats.join(",");
+  container.innerHTML = "";
+  seats.forEach(seat => {
+    const card = document.createElement("section");
+    card.className = "card";
+    const heading = document.createElement("h2");
+    heading.textContent = `${seatLabel(seat, sessionState.playerCount)}'s current engine`;
+    card.appendChild(heading);
+
+    ["plantations", "buildings", "colonists"].forEach(part => {
+      const line = document.createElement("p");
+      line.id = `${seat}-${part}-display`;
+      line.className = "hint";
+      card.appendChild(line);
+    });
+    const editor = document.createElement("div");
+    editor.id = `${seat}-colonists-editor`;
+    editor.className = "colonist-editor";
+    card.appendChild(editor);
+    const check = document.createElement("p");
+    check.id = `${seat}-colonists-check`;
+    check.className = "rule-check";
+    card.appendChild(check);
+    const goods = document.createElement("p");
+    goods.id = `${seat}-goods-display`;
+    goods.className = "hint";
+    card.appendChild(goods);
+
+    container.appendChild(card);
+  });
 }
 
-function scorePlantationChoice(plantation, you, opponent, context) {
-  if (plantation === "Quarry") {
-    return scoreQuarryChoice(you, context);
+function updateStateDisplays() {
+  const oppHeading = document.getElementById("opp-engine-heading");
+  if (oppHeading) {
+    oppHeading.textContent = tableSeats().length > 2 ? "Opponent 1's current engine" : "Opponent's current engine";
   }
 
-  const base = PLANTATION_VALUES_BASE[plantation] || 0;
-  const synergy = plantationSynergyBonus(plantation, you);
-  const deny = plantationDenyBonus(plantation, opponent);
-  const earlyTurnBonus = context.turnNumber <= 2 ? 0.4 : 0;
-
-  return base + synergy + deny + earlyTurnBonus;
-}
-
-function describePlantationReason(plantation, you, opponent) {
-  const parts = [];
+  tableSeats().forEach(who => {
+    const prefix = boardPrefix(who);
+    const session = playerSession(who);
+    const board = { startingPlantation: startingPlantationFor(who), ...session };
 
-  if (plantation === "Quarry") {
-    parts.push("Quarries reduce building costs, which is extremely valuable in 2-player where building tempo is critical.");
-    const q = you.quarries || 0;
-    if (q === 0) {
-      parts.push("This is your first quarry, giving you a big long-term discount on buildings.");
-    } else {
-      parts.push("More quarries further reduce your effective building costs, though with diminishing returns.");
+    const plantationsDisplay = document.getElementById(`${prefix}-plantations-display`);
+    if (plantationsDisplay) {
+      const extras = session.extraPlantations;
+      plantationsDisplay.textContent = `Starting crop: ${board.startingPlantation}. ` +
+        `Extra plantations: ${extras.length ? extras.join(", ") : "none yet"}. Quarries: ${session.quarries || 0}.`;
     }
-  } else if (plantation === "Corn") {
-    parts.push("Corn is extremely strong early because it produces without a building and gives fast shipping pressure in 2-player.");
-  } else if (plantation === "Indigo") {
-    parts.push("Indigo is weaker economically than corn; it mainly shines once you have the matching indigo production building.");
-  } else if (plantation === "Sugar") {
-    parts.push("Sugar is a higher-value good that scores well once the Sugar Mill is in place, making it an appealing early pick.");
-  } else {
-    parts.push(`${plantation} is a high-value export that pays off once the right production building is online.`);
-  }
 
-  if (plantation !== "Quarry") {
-    if (plantation === you.startingPlantation) {
-      parts.push("It matches your starting plantation, reinforcing that production line.");
-    } else {
-      parts.push("It diversifies your plantations, giving you more flexibility later.");
+    const buildingsDisplay = document.getElementById(`${prefix}-buildings-display`);
+    if (buildingsDisplay) {
+      buildingsDisplay.textContent = session.buildings.length
+        ? `Buildings: ${session.buildings.join(", ")}. City spaces used: ${citySpacesUsed(session)} of ${CITY_SPACES}.`
+        : "Buildings: none yet.";
     }
 
-    if (plantation === opponent.startingPlantation) {
-      parts.push("It also denies the opponent another copy of their main crop.");
+    const colonistsDisplay = document.getElementById(`${prefix}-colonists-display`);
+    if (colonistsDisplay) {
+      colonistsDisplay.textContent =
+        `Colonists: ${describeColonistPlacement(board, session.colonists, session.sanJuan)}.`;
     }
-  }
-
-  return parts.join(" ");
-}
-
-// --- Builder logic: score specific buildings (subset) ---
-
-function hasBuilding(buildings, name) {
-  return buildings.includes(name);
-}
-
-function countPlantationType(playerBoard, type) {
-  return [playerBoard.startingPlantation, ...playerBoard.extraPlantations].filter(
-    p => p === type
-  ).length;
-}
+    renderColonistEditor(who);
 
-function scoreBuildingChoice(building, you, context) {
-  if (hasBuilding(you.buildings, building.name)) {
-    return -999;
-  }
-
-  let score = building.baseValue;
-
-  if (building.type === "production" && building.crop) {
-    const n = countPlantationType(you, building.crop);
-    if (n > 0) {
-      score += 1.5 + 0.3 * (n - 1);
-    } else if (building.crop === you.startingPlantation) {
-      score += 1.0;
+    const goodsDisplay = document.getElementById(`${prefix}-goods-display`);
+    if (goodsDisplay) {
+      goodsDisplay.textContent = `Goods in storage: ${describeGoods(session.goods)}. VP chips: ${session.vp}.`;
     }
-  }
+  });
 
-  if (building.name === "Small Market") {
-    const uniquePlantTypes = new Set([
-      you.startingPlantation,
-      ...you.extraPlantations
-    ]);
-    if (uniquePlantTypes.size >= 2) score += 0.7;
+  const plantationSupplyDisplay = document.getElementById("plantation-supply-display");
+  if (plantationSupplyDisplay) {
+    const { roundState } = readStateFromUI();
+    const { stack, discarded } = roundState.plantationSupply;
+    const { faceUpTiles } = setupFor(sessionState.playerCount);
+    const odds = plantationDrawOdds(stack, faceUpTiles);
+    const remaining = PLANTATION_TYPES.map(type => `${type} ${stack[type]}`).join(", ");
+    const oddsText = PLANTATION_TYPES.map(type => `${type} ${Math.round(odds[type] * 100)}%`).join(", ");
+    plantationSupplyDisplay.textContent =
+      `Face-down stack: ${remaining} (${countTiles(stack)} tiles; ${countTiles(discarded)} discarded). ` +
+      `Chance of at least one in the next ${faceUpTiles}-tile refill: ${oddsText}.`;
   }
 
-  if (building.name === "Hacienda") {
-    if (context.turnNumber <= 3) score += 0.8;
+  const colonistSupplyDisplay = document.getElementById("colonist-supply-display");
+  if (colonistSupplyDisplay) {
+    colonistSupplyDisplay.textContent =
+      `Colonist ship: ${sessionState.colonistShip}. Colonist supply: ${sessionState.colonistSupply}.`;
   }
 
-  const quarryDiscount = (you.quarries || 0) * 0.3;
-  score += quarryDiscount;
-
-  score -= building.cost * 0.2;
-
-  return score;
-}
-
-function getBuilderOptions(you, context) {
-  return BUILDINGS
-    .filter(b => b.cost <= you.doubloons)
-    .map(building => {
-      const score = scoreBuildingChoice(building, you, context);
-      return { building, score };
-    })
-    .filter(opt => opt.score > -500)
-    .sort((a, b) => b.score - a.score);
-}
-
-// --- Non-Settler role heuristics ---
-
-function scoreProspector(you, context) {
-  let score = 2.0;
-  if (you.doubloons <= 2) score += 0.7;
-  if (context.turnNumber <= 2) score -= 0.2;
-  return score;
-}
-
-function explainProspector(you, context) {
-  const bits = [];
-  bits.push("Prospector gives you an extra doubloon, improving early buying power for key buildings.");
-  if (you.doubloons <= 2) {
-    bits.push("Because your money is low, the extra coin is especially attractive.");
+  const goodsSupplyDisplay = document.getElementById("goods-supply-display");
+  if (goodsSupplyDisplay) {
+    goodsSupplyDisplay.textContent = `Goods supply: ${describeGoods(sessionState.goodsSupply)}.`;
   }
-  if (context.turnNumber >= 3) {
-    bits.push("Later in the round, some strong plantations may already be gone, making money comparatively better.");
-  }
-  return bits.join(" ");
-}
 
-function scoreOtherRole(role, you, context) {
-  const plantCount = [you.startingPlantation, ...you.extraPlantations].length;
-  const hasAnyBuilding = you.buildings.length > 0;
-
-  switch (role) {
-    case "Mayor":
-      return hasAnyBuilding || plantCount > 1 ? 1.2 : 0.6;
-    case "Craftsman":
-      return hasAnyBuilding ? 1.0 : 0.4;
-    case "Trader":
-      return 0.7;
-    case "Captain":
-      return plantCount >= 2 ? 0.6 : 0.2;
-    default:
-      return 0.3;
+  const tradingHouseDisplay = document.getElementById("trading-house-display");
+  if (tradingHouseDisplay) {
+    const house = sessionState.tradingHouse;
+    tradingHouseDisplay.textContent =
+      `Trading house: ${house.length ? house.join(", ") : "empty"} (${house.length} of ${TRADING_HOUSE_SLOTS} slots).`;
   }
-}
 
-function explainOtherRole(role, you, context) {
-  const plantCount = [you.startingPlantation, ...you.extraPlantations].length;
-  const hasAnyBuilding = you.buildings.length > 0;
-
-  switch (role) {
-    case "Mayor":
-      if (hasAnyBuilding || plantCount > 1) {
-        return "Mayor can be reasonable now because you have enough plantations/buildings to justify extra colonists, but it's still usually secondary to Settler/Builder openings.";
-      }
-      return "Mayor can help place colonists, but very early you usually have few buildings or plantations to staff, so it’s rarely the best opening pick.";
-    case "Craftsman":
-      if (hasAnyBuilding) {
-        return "Craftsman becomes more attractive once you have production buildings, but in very early turns it often lags behind strong Settler or Builder plays.";
-      }
-      return "Craftsman is rarely strong in the very first round before a larger production engine is online.";
-    case "Trader":
-      return "Trader tends to be low-impact in the opening when there are few goods to sell, but can set up a small cash injection when production ramps up.";
-    case "Captain":
-      if (plantCount >= 2) {
-        return "Captain can sometimes be used tactically to ship and deny your opponent, but it’s usually not a top priority in the early game.";
-      }
-      return "Captain is almost never ideal this early; shipments are limited and you usually don’t want to prematurely clear goods.";
-    default:
-      return "This role is usually lower priority in the opening compared to Settler, Builder, and sometimes Prospector.";
+  const shipsDisplay = document.getElementById("cargo-ships-display");
+  if (shipsDisplay) {
+    shipsDisplay.textContent =
+      `Cargo ships – ${describeCargoShips(sessionState.cargoShips)}. VP chips left: ${Math.max(0, sessionState.vpSupply)}.`;
   }
 }
 
-// --- Core recommendMoves logic ---
-
-function recommendMoves(state) {
-  const { you, opponent, roundState, turnNumber } = state;
-  const context = { turnNumber };
-
-  const recommendations = [];
-
-  // Settler: plantations + quarry if available
-  if (roundState.availableRoles.includes("Settler")) {
-    for (const plantation of roundState.faceUpPlantations) {
-      if (plantation === "None") continue;
-      let score = scorePlantationChoice(plantation, you, opponent, context);
-      score += feedbackBonus("Settler", plantation, null);
-
-      const title = `Take Settler → choose ${plantation}`;
-      const explanation = describePlantationReason(plantation, you, opponent);
-      recommendations.push({ score, title, explanation, role: "Settler", plantation });
-    }
-
-    if (roundState.quarriesRemaining > 0) {
-      let score = scorePlantationChoice("Quarry", you, opponent, context);
-      score += feedbackBonus("Settler", "Quarry", null);
-
-      const title = "Take Settler → choose Quarry";
-      const explanation = describePlantationReason("Quarry", you, opponent);
-      recommendations.push({ score, title, explanation, role: "Settler", plantation: "Quarry" });
-    }
+// One number input per plantation type, quarry group and building; unplaced colonists stay in San Juan.
+function renderColonistEditor(who) {
+  const container = document.getElementById(`${boardPrefix(who)}-colonists-editor`);
+  if (!container) return;
+
+  const session = playerSession(who);
+  const board = { startingPlantation: startingPlantationFor(who), ...session };
+  const counts = plantationCounts(board);
+
+  const slots = [];
+  Object.keys(counts).forEach(type => {
+    slots.push({
+      label: `${type} plantation${counts[type] === 1 ? "" : "s"}`,
+      max: counts[type],
+      get: colonists => colonists.plantations[type] || 0,
+      set: (colonists, n) => { colonists.plantations[type] = n; }
+    });
+  });
+  if (session.quarries > 0) {
+    slots.push({
+      label: "Quarries",
+      max: session.quarries,
+      get: colonists => colonists.quarries,
+      set: (colonists, n) => { colonists.quarries = n; }
+    });
   }
+  session.buildings.forEach(name => {
+    const max = buildingCircles(name);
+    if (max === 0) return;
+    slots.push({
+      label: name,
+      max,
+      get: colonists => colonists.buildings[name] || 0,
+      set: (colonists, n) => { colonists.buildings[name] = n; }
+    });
+  });
 
-  // Prospector
-  if (roundState.availableRoles.includes("Prospector")) {
-    let score = scoreProspector(you, context);
-    score += feedbackBonus("Prospector", null, null);
+  container.innerHTML = "";
+  slots.forEach(slot => {
+    const row = document.createElement("label");
+    row.className = "colonist-slot";
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.min = "0";
+    input.max = String(slot.max);
+    input.value = String(slot.get(session.colonists));
+    input.addEventListener("change", () => {
+      const colonists = JSON.parse(JSON.stringify(session.colonists));
+      const available = slot.get(colonists) + session.sanJuan;
+      const wanted = Math.max(0, Math.min(slot.max, Number(input.value || 0)));
+      const value = Math.min(wanted, available);
+      slot.set(colonists, value);
+      commitChecked({
+        type: "edit",
+        field: "colonists",
+        who,
+        value: { colonists, sanJuan: available - value }
+      }, document.getElementById(`${boardPrefix(who)}-colonists-check`));
+    });
 
-    const title = "Take Prospector";
-    const explanation = explainProspector(you, context);
-    recommendations.push({ score, title, explanation, role: "Prospector" });
-  }
+    row.appendChild(document.createTextNode(`${slot.label} (max ${slot.max})`));
+    row.appendChild(input);
+    container.appendChild(row);
+  });
+}
 
-  // Builder – with specific building options (subset)
-  if (roundState.availableRoles.includes("Builder")) {
-    const builderOptions = getBuilderOptions(you, context);
-    if (builderOptions.length === 0) {
-      let score = 0.4;
-      score += feedbackBonus("Builder", null, null);
+function updateTurnDisplay() {
+  const display = document.getElementById("round-turn-display");
+  const summary = document.getElementById("round-summary");
+  const govSelect = document.getElementById("governor-select");
+  if (!display || !govSelect) return;
 
-      const title = "Take Builder (limited options)";
-      const explanation = "You don't currently have strong building options you can afford, so Builder is relatively weak compared to other roles.";
-      recommendations.push({ score, title, explanation, role: "Builder" });
-    } else {
-      builderOptions.forEach(opt => {
-        const { building } = opt;
-        let score = opt.score;
-        score += feedbackBonus("Builder", null, building.name);
-
-        const title = `Take Builder → buy ${building.name}`;
-        const explanation = "Builder lets you convert your doubloons into long-term engine pieces, especially strong early when paired with core production or economy buildings.";
-        recommendations.push({
-          score,
-          title,
-          explanation,
-          role: "Builder",
-          building: building.name
-        });
-      });
-    }
-  }
+  const { playerCount } = sessionState;
+  const t = sessionState.turnInRound;
+  const r = sessionState.roundNumber;
+  const picks = setupFor(playerCount).picksPerRound;
 
-  // Other roles
-  for (const role of roundState.availableRoles) {
-    if (["Settler", "Prospector", "Builder"].includes(role)) continue;
-    let score = scoreOtherRole(role, you, context);
-    score += feedbackBonus(role, null, null);
+  const whose = describeWhosePick(pickOrder(govSelect.value, playerCount)[t - 1]);
+  const governor = describeGovernor(govSelect.value).toLowerCase();
 
-    const title = `Take ${role}`;
-    const explanation = explainOtherRole(role, you, context);
-    recommendations.push({ score, title, explanation, role });
+  display.textContent = `Round ${r} – Turn ${t} of ${picks} – it is ${whose} (${governor} Governor).`;
+  if (summary) {
+    summary.textContent = `Round ${r} – Turn ${t} of ${picks}.`;
   }
 
-  recommendations.sort((a, b) => b.score - a.score);
-  return recommendations;
+  document.querySelectorAll(".role-coins").forEach(span => {
+    const coins = sessionState.roleCoins[span.dataset.role] || 0;
+    span.textContent = coins > 0 ? ` (+${coins})` : "";
+  });
 }
 
-// --- UI state helpers ---
-
-function readStateFromUI() {
-  const governorSelect = document.getElementById("governor-select").value;
-  const yourDoubloons = Number(document.getElementById("your-doubloons").value || 0);
-  const oppDoubloons = Number(document.getElementById("opp-doubloons").value || 0);
-  const turnNumber = Number(document.getElementById("turn-number").value);
-
-  const plantationSelects = Array.from(document.querySelectorAll(".plantation"));
-  const faceUpPlantations = plantationSelects.map(sel => sel.value);
-
-  const quarriesRemaining = Number(document.getElementById("quarries-remaining").value || 0);
-
-  const availableRoles = Array.from(document.querySelectorAll(".role"))
-    .filter(cb => cb.checked)
-    .map(cb => cb.value);
+// "You are", "Your opponent is" or "Opponent 2 is".
+function describeGovernor(governor) {
+  if (governor === "you") return "You are";
+  return tableSeats().length > 2 ? `${seatLabel(governor, sessionState.playerCount)} is` : "Your opponent is";
+}
 
-  const oppLastRole = document.getElementById("opp-last-role").value || null;
+function describeRoundEnd({ round, coinedRoles, governor }) {
+  const coinsText = coinedRoles.length
+    ? `${coinedRoles.join(", ")} ${coinedRoles.length === 1 ? "gets" : "get"} a doubloon.`
+    : "Every role was taken.";
+  return `Round ${round} complete. ${coinsText} ${describeGovernor(governor)} now Governor. ` +
+    "Draw new plantation tiles and set them in the face-up row.";
+}
 
-  const youStart = governorSelect === "you" ? "Indigo" : "Corn";
-  const oppStart = governorSelect === "you" ? "Corn" : "Indigo";
+function describeScore(breakdown) {
+  const bonusVp = breakdown.bonuses.reduce((sum, bonus) => sum + bonus.vp, 0);
+  return `${breakdown.total} VP (${breakdown.shipping} shipped, ${breakdown.buildings} buildings` +
+    (bonusVp ? `, ${bonusVp} bonus)` : ")");
+}
 
-  const you = {
-    startingPlantation: youStart,
-    extraPlantations: sessionState.extraPlantations,
-    quarries: sessionState.quarries,
-    buildings: sessionState.buildings,
-    doubloons: yourDoubloons
+// Running estimate while the game goes on; the full breakdown once it is over.
+function renderScore(state, session) {
+  const display = document.getElementById("score-display");
+  const endDisplay = document.getElementById("game-end-display");
+  const table = document.getElementById("final-score");
+  if (!display) return;
+
+  const seats = state.players;
+  const scores = Object.fromEntries(seats.map(who => [who, scoreBreakdown(state[who])]));
+  const names = seats.map(who => seatLabel(who, seats.length));
+  const label = session.gameOver ? "Final score" : "If the game ended now";
+  display.textContent = `${label} – ` +
+    seats.map((who, i) => `${names[i].toLowerCase()}: ${describeScore(scores[who])}`).join("; ") + ".";
+
+  endDisplay.textContent = session.gameOver
+    ? ""
+    : session.endTriggers.length
+      ? `This is the last round: ${describeGameEnd(session.endTriggers)}.`
+      : "";
+
+  table.innerHTML = "";
+  table.classList.toggle("hidden", !session.gameOver);
+  if (!session.gameOver) return;
+
+  const bonusNames = [...new Set(seats.flatMap(who => scores[who].bonuses.map(bonus => bonus.name)))];
+  const bonusFor = (breakdown, name) => {
+    const bonus = breakdown.bonuses.find(b => b.name === name);
+    return bonus ? bonus.vp : 0;
   };
+  const row = (label, value) => [label, ...seats.map(who => value(scores[who]))];
+  const rows = [
+    ["", ...names],
+    row("VP chips from shipping", score => score.shipping),
+    row("Buildings", score => score.buildings),
+    ...bonusNames.map(name => row(`${name} bonus`, score => bonusFor(score, name))),
+    row("Total", score => score.total)
+  ];
+  rows.forEach((cells, i) => {
+    const tr = document.createElement("tr");
+    cells.forEach(text => {
+      const cell = document.createElement(i === 0 ? "th" : "td");
+      cell.textContent = String(text);
+      tr.appendChild(cell);
+    });
+    table.appendChild(tr);
+  });
+}
 
-  const opponent = {
-    startingPlantation: oppStart,
-    extraPlantations: sessionState.opponent.extraPlantations,
-    quarries: sessionState.opponent.quarries,
-    buildings: sessionState.opponent.buildings,
-    doubloons: oppDoubloons,
-    lastRole: oppLastRole
+// Shows the inputs this player count needs: Governor and opponent choices, doubloon
+// fields, face-up tile rows and the role cards in play. Cheap to call on every restore.
+function showTableLayout() {
+  const { playerCount } = sessionState;
+  const setup = setupFor(playerCount);
+  const seats = tableSeats();
+  const opponents = seats.slice(1);
+  const several = opponents.length > 1;
+
+  document.getElementById("player-count").value = String(playerCount);
+  renderOtherOpponentBoards();
+
+  const fillSelect = (select, options) => {
+    const key = options.map(([value]) => value).join(",");
+    if (select.dataset.options === key) return;
+    select.dataset.options = key;
+    select.innerHTML = "";
+    options.forEach(([value, text]) => {
+      const opt = document.createElement("option");
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    });
   };
+  fillSelect(document.getElementById("governor-select"), [
+    ["you", "Yes, I am the Governor"],
+    ...opponents.map(who => [who, several
+      ? `No, ${seatLabel(who, playerCount)} is Governor`
+      : "No, opponent is Governor"])
+  ]);
+  fillSelect(document.getElementById("opp-last-seat"),
+    opponents.map(who => [who, seatLabel(who, playerCount)]));
+  document.getElementById("opp-last-seat-row").classList.toggle("hidden", !several);
+
+  document.getElementById("opp-doubloons-label").textContent =
+    several ? "Opponent 1 doubloons" : "Opponent doubloons";
+  const doubloonRows = document.getElementById("other-doubloons");
+  if (doubloonRows.dataset.seats !== seats.join(",")) {
+    doubloonRows.dataset.seats = seats.join(",");
+    doubloonRows.innerHTML = "";
+    seats.slice(2).forEach(seat => {
+      const row = document.createElement("div");
+      row.className = "field-row";
+      const label = document.createElement("label");
+      label.textContent = `${seatLabel(seat, playerCount)} doubloons`;
+      const input = document.createElement("input");
+      input.type = "number";
+      input.min = "0";
+      input.className = "other-doubloons";
+      input.dataset.seat = seat;
+      row.appendChild(label);
+      row.appendChild(input);
+      doubloonRows.appendChild(row);
+    });
+  }
 
-  const roundState = {
-    availableRoles,
-    takenRoles: oppLastRole ? [{ by: "opp", role: oppLastRole }] : [],
-    faceUpPlantations,
-    quarriesRemaining
-  };
+  document.querySelectorAll(".plantation").forEach((sel, i) => {
+    sel.closest(".field-row").classList.toggle("hidden", i >= setup.faceUpTiles);
+  });
+  document.querySelectorAll(".role").forEach(cb => {
+    cb.closest("label").classList.toggle("hidden", !setup.roles.includes(cb.value));
+  });
+  ["opp-last-role", "manual-role"].forEach(id => {
+    Array.from(document.getElementById(id).options).forEach(opt => {
+      opt.hidden = opt.value !== "" && !setup.roles.includes(opt.value);
+    });
+  });
 
-  return {
-    you,
-    opponent,
-    roundState,
-    turnNumber
-  };
+  document.getElementById("setup-summary").textContent = describeSetup(playerCount);
 }
 
-function updateStateDisplays() {
-  const governorSelect = document.getElementById("governor-select").value;
-  const yourPlantationsDisplay = document.getElementById("your-plantations-display");
-  const yourBuildingsDisplay = document.getElementById("your-buildings-display");
-  const oppPlantationsDisplay = document.getElementById("opp-plantations-display");
-  const oppBuildingsDisplay = document.getElementById("opp-buildings-display");
-
-  const yourStart = governorSelect === "you" ? "Indigo" : "Corn";
-  const oppStart = governorSelect === "you" ? "Corn" : "Indigo";
-
-  const yExtras = sessionState.extraPlantations;
-  const yExtraText = yExtras.length ? yExtras.join(", ") : "none yet";
-  const yQuarries = sessionState.quarries || 0;
-
-  yourPlantationsDisplay.textContent =
-    `Starting crop: ${yourStart}. Extra plantations: ${yExtraText}. Quarries: ${yQuarries}.`;
-
-  const yBuildings = sessionState.buildings;
-  yourBuildingsDisplay.textContent = yBuildings.length
-    ? `Buildings: ${yBuildings.join(", ")}.`
-    : "Buildings: none yet.";
-
-  const oExtras = sessionState.opponent.extraPlantations;
-  const oExtraText = oExtras.length ? oExtras.join(", ") : "none yet";
-  const oQuarries = sessionState.opponent.quarries || 0;
-
-  oppPlantationsDisplay.textContent =
-    `Starting crop: ${oppStart}. Extra plantations: ${oExtraText}. Quarries: ${oQuarries}.`;
-
-  const oBuildings = sessionState.opponent.buildings;
-  oppBuildingsDisplay.textContent = oBuildings.length
-    ? `Buildings: ${oBuildings.join(", ")}.`
-    : "Buildings: none yet.";
+// The starting position and pick order for the chosen player count, in words.
+function describeSetup(playerCount) {
+  const setup = setupFor(playerCount);
+  const starts = setup.startingCrops.map((crop, i) => {
+    const seat = i === 0 ? "Governor" : `${["second", "third", "fourth", "fifth"][i - 1]} player`;
+    return `${seat}: ${crop} + ${setup.startingDoubloons[i]} doubloons`;
+  });
+  const order = playerCount === 2
+    ? "You alternate picking until each player has chosen 3 roles (6 total); the Governor picks 1, 3 and 5."
+    : "Each player picks one role per round, clockwise from the Governor.";
+  return `${playerCount === 2 ? "Official 2-player" : `${playerCount}-player`} start – ${starts.join("; ")}. ` +
+    `${setup.roles.length} roles, ${setup.faceUpTiles} face-up plantation tiles, ${setup.quarries} quarries, ` +
+    `${setup.colonistSupply} colonists plus ${setup.colonistShip} on the ship, ` +
+    `cargo ships of ${setup.cargoShips.join(", ")} and ${setup.vpChips} VP chips. ${order}`;
 }
 
-function updateTurnDisplay() {
-  const display = document.getElementById("round-turn-display");
-  const summary = document.getElementById("round-summary");
-  const govSelect = document.getElementById("governor-select");
-  if (!display || !govSelect) return;
-
-  const isGovernor = govSelect.value === "you";
-  const yourPicks = isGovernor ? [1, 3, 5] : [2, 4, 6];
-  const t = sessionState.turnInRound;
-  const r = sessionState.roundNumber;
-
-  let whose;
-  if (yourPicks.includes(t)) {
-    whose = "your pick";
-  } else if (t >= 1 && t <= 6) {
-    whose = "your opponent's pick";
-  } else {
-    whose = "round complete";
-  }
+function populatePickNumbers() {
+  const turnSelect = document.getElementById("turn-number");
+  const yourPicks = yourPickNumbers(document.getElementById("governor-select").value, sessionState.playerCount);
+
+  turnSelect.innerHTML = "";
+  yourPicks.forEach(n => {
+    const opt = document.createElement("option");
+    opt.value = n;
+    opt.textContent = `${n} (your pick)`;
+    turnSelect.appendChild(opt);
+  });
+}
 
-  let text;
-  if (t <= 6) {
-    text = `Round ${r} – Turn ${t} of 6 – it is ${whose}.`;
-  } else {
-    text = `Round ${r} – Turn 6 of 6 – round complete (advance to next round manually).`;
-  }
+// Fill the "what did they build" selects from the catalogue, grouped by building type
+function populateBuildingSelects() {
+  document.querySelectorAll(".building-select").forEach(select => {
+    Object.entries(BUILDING_GROUP_LABELS).forEach(([group, label]) => {
+      const optgroup = document.createElement("optgroup");
+      optgroup.label = label;
+      BUILDINGS.filter(b => b.group === group).forEach(b => {
+        const opt = document.createElement("option");
+        opt.value = b.name;
+        opt.textContent = b.name;
+        optgroup.appendChild(opt);
+      });
+      select.appendChild(optgroup);
+    });
 
-  display.textContent = text;
-  if (summary) {
-    summary.textContent = `Round ${r} – Turn ${Math.min(t, 6)} of 6.`;
-  }
+    const other = document.createElement("option");
+    other.value = "Other";
+    other.textContent = "Other / unknown";
+    select.appendChild(other);
+  });
 }
 
 // Limit Settler choices for opponent/manual to actual tiles + quarry
@@ -533,10 +447,8 @@ function updateSettlerChoiceOptions() {
   const manualSelect = document.getElementById("manual-plantation");
   const quarriesInput = document.getElementById("quarries-remaining");
 
-  const plantationSelects = Array.from(document.querySelectorAll(".plantation"));
-
   const availablePlantations = new Set();
-  plantationSelects.forEach(sel => {
+  faceUpSelects().forEach(sel => {
     const v = sel.value;
     if (v && v !== "None") {
       availablePlantations.add(v);
@@ -604,13 +516,58 @@ function updateSettlerChoiceOptions() {
   }
 }
 
-function renderRecommendations(recs) {
+// The top picks are always shown; "Show all options" reveals the rest of the ranking.
+const TOP_RECOMMENDATIONS = 3;
+
+function formatPart(value) {
+  return `${value >= 0 ? "+" : "−"}${Math.abs(value).toFixed(2)}`;
+}
+
+// Collapsed table of the numbers a recommendation's score adds up from.
+function renderScoreBreakdown(rec) {
+  const details = document.createElement("details");
+  details.className = "recommendation-breakdown";
+  const summary = document.createElement("summary");
+  summary.textContent = `How it's scored (${rec.score.toFixed(2)})`;
+  details.appendChild(summary);
+
+  const table = document.createElement("table");
+  table.className = "score-table";
+  [...rec.parts.map(part => [part.label, formatPart(part.value)]), ["Total", rec.score.toFixed(2)]]
+    .forEach(([label, value]) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = label.charAt(0).toUpperCase() + label.slice(1);
+      row.insertCell().textContent = value;
+    });
+  details.appendChild(table);
+  return details;
+}
+
+function renderRuledOut(ruledOut) {
+  const list = document.getElementById("ruled-out-list");
+  list.innerHTML = "";
+  ruledOut.forEach(move => {
+    const li = document.createElement("li");
+    li.textContent = move.reason;
+    list.appendChild(li);
+  });
+}
+
+function showAllOptions(shown) {
+  document.querySelectorAll("#recommendation-list .extra-option").forEach(li => {
+    li.classList.toggle("hidden", !shown);
+  });
+  document.getElementById("ruled-out").classList.toggle("hidden", !shown);
+}
+
+function renderRecommendations(recs, ruledOut = []) {
   const resultsSection = document.getElementById("results");
   const list = document.getElementById("recommendation-list");
   list.innerHTML = "";
 
-  recs.slice(0, 3).forEach(rec => {
+  recs.forEach((rec, i) => {
     const li = document.createElement("li");
+    if (i >= TOP_RECOMMENDATIONS) li.className = "extra-option";
     li.dataset.role = rec.role || "";
     li.dataset.plantation = rec.plantation || "";
     li.dataset.building = rec.building || "";
@@ -625,232 +582,1095 @@ function renderRecommendations(recs) {
 
     li.appendChild(title);
     li.appendChild(explanation);
+    if (rec.preference >= 0.01) {
+      const preference = document.createElement("div");
+      preference.className = "recommendation-preference";
+      preference.textContent = `Your past choices in similar spots moved this up by ${rec.preference.toFixed(2)}.`;
+      li.appendChild(preference);
+    }
+    if (rec.warning) {
+      const warning = document.createElement("div");
+      warning.className = "recommendation-warning";
+      warning.textContent = rec.warning;
+      li.appendChild(warning);
+    }
+    li.appendChild(renderScoreBreakdown(rec));
     list.appendChild(li);
   });
 
+  renderRuledOut(ruledOut);
+  showAllOptions(document.getElementById("show-all-options").checked);
+  fillWhatIfChoices(recs);
   resultsSection.classList.remove("hidden");
 }
 
-// --- DOMContentLoaded: hook up events & dynamic behavior ---
+// The next pick that isn't yours and the opponent who makes it.
+function nextOpponentPick() {
+  const { governor } = captureGameState().inputs;
+  const { playerCount } = sessionState;
+  const turnNumber = opponentPickNumber(governor, sessionState.turnInRound, playerCount);
+  return { turnNumber, who: opponentAtPick(governor, turnNumber, playerCount) };
+}
 
-document.addEventListener("DOMContentLoaded", () => {
-  const button = document.getElementById("recommend-btn");
-  const governorSelect = document.getElementById("governor-select");
-  const yourDoubloonsInput = document.getElementById("your-doubloons");
-  const oppDoubloonsInput = document.getElementById("opp-doubloons");
-  const resultsSection = document.getElementById("results");
-  const list = document.getElementById("recommendation-list");
-  const turnSelect = document.getElementById("turn-number");
-  const oppLastRoleSelect = document.getElementById("opp-last-role");
-  const oppSettlerGainSelect = document.getElementById("opp-settler-gain");
-  const oppBuilderBuildingSelect = document.getElementById("opp-builder-building");
-  const quarriesRemainingInput = document.getElementById("quarries-remaining");
-  const applyOppBtn = document.getElementById("apply-opp-btn");
+function currentOpponentPrediction() {
+  const { turnNumber, who } = nextOpponentPick();
+  return predictOpponentMoves(readStateFromUI(), sessionState.opponentPicks, turnNumber, who);
+}
 
-  const manualToggleBtn = document.getElementById("manual-choice-toggle");
-  const manualPanel = document.getElementById("manual-choice-panel");
-  const manualRoleSelect = document.getElementById("manual-role");
-  const manualPlantationSelect = document.getElementById("manual-plantation");
-  const manualBuildingSelect = document.getElementById("manual-building");
-  const manualReasonTextarea = document.getElementById("manual-reason");
-  const manualApplyBtn = document.getElementById("manual-apply-btn");
+function renderOpponentPrediction() {
+  const list = document.getElementById("opp-prediction-list");
+  if (!list) return;
 
-  const plantationSelects = Array.from(document.querySelectorAll(".plantation"));
+  const seatDisplay = document.getElementById("opp-prediction-seat");
+  if (seatDisplay) {
+    const { turnNumber, who } = nextOpponentPick();
+    seatDisplay.textContent = tableSeats().length > 2
+      ? `Next up: ${seatLabel(who, sessionState.playerCount)} (pick ${turnNumber}).`
+      : "";
+  }
 
-  function syncDoubloonsToGovernor() {
-    if (governorSelect.value === "you") {
-      yourDoubloonsInput.value = "3";
-      oppDoubloonsInput.value = "2";
-    } else {
-      yourDoubloonsInput.value = "2";
-      oppDoubloonsInput.value = "3";
-    }
+  list.innerHTML = "";
+  currentOpponentPrediction().slice(0, 3).forEach(pick => {
+    const li = document.createElement("li");
+    li.textContent = `${describePick(pick)} – ${Math.round(pick.probability * 100)}%`;
+    list.appendChild(li);
+  });
+  document.getElementById("opp-tendency").textContent =
+    describeOpponentTendencies(sessionState.opponentPicks);
+}
 
-    // Start of a new first round perspective
-    sessionState.extraPlantations = [];
-    sessionState.quarries = 0;
-    sessionState.buildings = [];
-    sessionState.opponent.extraPlantations = [];
-    sessionState.opponent.quarries = 0;
-    sessionState.opponent.buildings = [];
-    sessionState.feedbackCounts = {};
-    sessionState.turnInRound = 1;
-    sessionState.roundNumber = 1;
-
-    // Reset quarries to full supply for a fresh board
-    quarriesRemainingInput.value = "5";
-
-    updateStateDisplays();
-    updateTurnDisplay();
-    updateSettlerChoiceOptions();
-
-    if (!resultsSection.classList.contains("hidden")) {
-      list.innerHTML = "";
-      resultsSection.classList.add("hidden");
-    }
-  }
+// --- What-if comparison ---
 
-  function populatePickNumbers() {
-    const isGovernor = governorSelect.value === "you";
-    const yourPicks = isGovernor ? [1, 3, 5] : [2, 4, 6];
+// Your move as logged, whether it is played for real or only tried on a copy.
+function makeYourMove(role, plantation, building, source) {
+  return { type: "move", by: "you", role, plantation: plantation || null, building: building || null, source };
+}
 
-    turnSelect.innerHTML = "";
-    yourPicks.forEach(n => {
-      const opt = document.createElement("option");
-      opt.value = n;
-      opt.textContent = `${n} (your pick)`;
-      turnSelect.appendChild(opt);
+// Both pickers list every recommendation; they start on the top two.
+function fillWhatIfChoices(recs) {
+  ["what-if-a", "what-if-b"].forEach((id, i) => {
+    const select = document.getElementById(id);
+    select.innerHTML = "";
+    recs.forEach((rec, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = rec.title;
+      option.dataset.role = rec.role;
+      option.dataset.plantation = rec.plantation || "";
+      option.dataset.building = rec.building || "";
+      select.appendChild(option);
     });
-  }
+    select.selectedIndex = Math.min(i, recs.length - 1);
+  });
+  renderWhatIf([]);
+}
 
-  function advancePickNumber() {
-    const isGovernor = governorSelect.value === "you";
-    const picks = isGovernor ? [1, 3, 5] : [2, 4, 6];
-    const current = Number(turnSelect.value);
-    const idx = picks.indexOf(current);
-    if (idx >= 0 && idx < picks.length - 1) {
-      turnSelect.value = String(picks[idx + 1]);
-    }
-  }
+function describeWhatIfBoard(board) {
+  const plantations = [board.startingPlantation, ...board.extraPlantations];
+  if (board.quarries) plantations.push(`${board.quarries} quarr${board.quarries === 1 ? "y" : "ies"}`);
+  return `${board.doubloons} doubloon${board.doubloons === 1 ? "" : "s"}, ${board.vp} VP chips. ` +
+    `Plantations: ${plantations.join(", ")}. ` +
+    `Buildings: ${board.buildings.length ? board.buildings.join(", ") : "none"}. ` +
+    `Goods: ${describeGoods(board.goods)}.`;
+}
 
-  function removePlantationFromRow(plantation) {
-    if (!plantation || plantation === "Quarry") return;
-    const selects = Array.from(document.querySelectorAll(".plantation"));
-    const match = selects.find(sel => sel.value === plantation);
-    if (match) {
-      match.value = "None";
-    }
+// One column per move: how it changes the evaluation, the reply it invites and the
+// table it leaves behind.
+function describeWhatIf(result) {
+  if (result.errors.length) return result.errors;
+
+  const { playerCount } = sessionState;
+  const { state, snapshot: { inputs, session } } = result;
+  const lines = [`Net ${formatGain(result.gain)} for you compared with now.`];
+  if (result.reply) {
+    lines.push(`Best reply: ${describeAction(result.reply, playerCount)}, ` +
+      `leaving you ${formatGain(result.gainAfterReply)}.`);
+  } else {
+    lines.push(session.gameOver ? "The game ends after this round." : "You pick again next.");
   }
+  state.players.forEach(who => {
+    lines.push(`${seatLabel(who, playerCount)}: ${describeWhatIfBoard(state[who])}`);
+  });
+  lines.push(session.lastRoundEnd
+    ? `The round is over, so every role is back for round ${session.roundNumber}.`
+    : `Roles left: ${inputs.availableRoles.join(", ")}.`);
+  const tiles = inputs.faceUpPlantations.filter(tile => tile !== "None");
+  lines.push(`Face-up tiles: ${tiles.length ? tiles.join(", ") : "none"}. Quarries left: ${inputs.quarriesRemaining}.`);
+  return lines;
+}
 
-  function decrementQuarriesRemaining() {
-    let q = Number(quarriesRemainingInput.value || 0);
-    if (q > 0) {
-      q -= 1;
-      quarriesRemainingInput.value = String(q);
-    }
-    updateSettlerChoiceOptions();
-  }
-
-  function applyChosenMove(role, plantation, buildingName) {
-    if (role === "Settler" && plantation) {
-      if (plantation === "Quarry") {
-        sessionState.quarries += 1;
-        decrementQuarriesRemaining();
-      } else {
-        sessionState.extraPlantations.push(plantation);
-        removePlantationFromRow(plantation);
-        updateSettlerChoiceOptions();
-      }
-    }
+function renderWhatIf(results) {
+  const container = document.getElementById("what-if-results");
+  container.innerHTML = "";
+  results.forEach(result => {
+    const column = document.createElement("div");
+    const title = document.createElement("div");
+    title.className = "recommendation-title";
+    title.textContent = describeAction(result.move, sessionState.playerCount);
+    column.appendChild(title);
+
+    describeWhatIf(result).forEach(text => {
+      const line = document.createElement("p");
+      if (result.errors.length) line.className = "rule-check rule-error";
+      line.textContent = text;
+      column.appendChild(line);
+    });
+    container.appendChild(column);
+  });
+}
 
-    if (role === "Builder" && buildingName) {
-      if (!sessionState.buildings.includes(buildingName)) {
-        sessionState.buildings.push(buildingName);
-      }
-      const cost = BUILDING_COSTS[buildingName] || 0;
-      if (cost > 0) {
-        const currentMoney = Number(yourDoubloonsInput.value || 0);
-        const newMoney = Math.max(0, currentMoney - cost);
-        yourDoubloonsInput.value = String(newMoney);
-      }
-    }
+// --- Action log (undo/redo) ---
+// A game is its setup snapshot plus every action taken since. The table always shows
+// the first `position` actions replayed onto the setup, so undo and redo only move
+// `position`; a new action drops anything that had been undone.
 
-    if (role === "Prospector") {
-      const currentMoney = Number(yourDoubloonsInput.value || 0);
-      yourDoubloonsInput.value = String(currentMoney + 1);
-    }
+const gameLog = { setup: null, actions: [], position: 0, startedAt: null };
 
-    updateStateDisplays();
+function snapshotAt(log, position) {
+  return replayActions(log.setup, log.actions.slice(0, position));
+}
 
-    if (role) {
-      const roleCheckbox = document.querySelector(`.role[value="${role}"]`);
-      if (roleCheckbox) {
-        roleCheckbox.checked = false;
-      }
-    }
+function currentSnapshot(log = gameLog) {
+  return snapshotAt(log, log.position);
+}
 
-    // Advance turn counter and pick number
-    sessionState.turnInRound = Math.min(sessionState.turnInRound + 1, 7);
-    updateTurnDisplay();
-    advancePickNumber();
+function showLoggedState() {
+  restoreGameState(currentSnapshot());
+  renderHistory();
+  saveProgress();
+}
 
-    list.innerHTML = "";
-    resultsSection.classList.add("hidden");
-  }
+function startGameLog(setup, actions = [], position = actions.length, startedAt = new Date().toISOString()) {
+  gameLog.setup = setup;
+  gameLog.actions = actions;
+  gameLog.position = position;
+  gameLog.startedAt = startedAt;
+  showLoggedState();
+}
 
-  function applyOpponentLastRole() {
-    const role = oppLastRoleSelect.value;
-    if (!role) return;
+// Typing the same field again replaces the last edit instead of piling up history.
+function isSameEdit(a, b) {
+  return a.type === "edit" && b.type === "edit" && a.field === b.field &&
+    a.index === b.index && a.role === b.role && a.who === b.who;
+}
 
-    if (role === "Settler") {
-      const gain = oppSettlerGainSelect.value;
-      if (gain === "Quarry") {
-        sessionState.opponent.quarries += 1;
-        decrementQuarriesRemaining();
-      } else if (gain) {
-        sessionState.opponent.extraPlantations.push(gain);
-        removePlantationFromRow(gain);
-        updateSettlerChoiceOptions();
-      }
-    }
+function commitAction(action) {
+  gameLog.actions = gameLog.actions.slice(0, gameLog.position);
+  const last = gameLog.actions[gameLog.actions.length - 1];
+  if (last && isSameEdit(last, action)) {
+    gameLog.actions[gameLog.actions.length - 1] = action;
+  } else {
+    gameLog.actions.push(action);
+  }
+  gameLog.position = gameLog.actions.length;
+  showLoggedState();
+}
 
-    if (role === "Builder") {
-      const buildingName = oppBuilderBuildingSelect.value;
-      if (buildingName && buildingName !== "") {
-        if (!sessionState.opponent.buildings.includes(buildingName)) {
-          sessionState.opponent.buildings.push(buildingName);
-        }
-        const cost = BUILDING_COSTS[buildingName] || 0;
-        if (cost > 0) {
-          const currentMoney = Number(oppDoubloonsInput.value || 0);
-          const newMoney = Math.max(0, currentMoney - cost);
-          oppDoubloonsInput.value = String(newMoney);
-        }
-      }
-    }
+// Only the latest rules check is shown; every other notice is cleared.
+function showRuleCheck(notice, messages, refused) {
+  document.querySelectorAll(".rule-check").forEach(el => {
+    el.textContent = "";
+  });
+  if (!notice) return;
+  notice.textContent = messages.join(" ");
+  notice.classList.toggle("rule-error", refused);
+}
 
-    if (role === "Prospector") {
-      const currentMoney = Number(oppDoubloonsInput.value || 0);
-      oppDoubloonsInput.value = String(currentMoney + 1);
-    }
+// Moves and hand corrections are checked against the rules before they are logged. An
+// illegal one is refused with the reasons in `notice` (and the table put back); warnings
+// are shown there too, but the action stands. Returns whether it was logged.
+function commitChecked(action, notice) {
+  const { errors, warnings } = validateAction(currentSnapshot(), action);
+  if (errors.length) {
+    if (action.type === "edit") showLoggedState();
+    showRuleCheck(notice, errors, true);
+    return false;
+  }
+  commitAction(action);
+  showRuleCheck(notice, warnings, false);
+  return true;
+}
 
-    updateStateDisplays();
+function jumpToAction(position) {
+  gameLog.position = Math.max(0, Math.min(gameLog.actions.length, position));
+  showLoggedState();
+}
 
-    const roleCheckbox = document.querySelector(`.role[value="${role}"]`);
-    if (roleCheckbox) {
-      roleCheckbox.checked = false;
-    }
+// The engine's top picks are kept with each of your moves, so an exported game shows
+// what was suggested next to what was played.
+function summarizeRecommendations(recs) {
+  return recs.slice(0, 3).map(rec => ({
+    title: rec.title,
+    score: Math.round(rec.score * 100) / 100,
+    explanation: rec.explanation,
+    role: rec.role,
+    plantation: rec.plantation || null,
+    building: rec.building || null
+  }));
+}
 
-    // Opponent's move advances the round turn counter too
-    sessionState.turnInRound = Math.min(sessionState.turnInRound + 1, 7);
-    updateTurnDisplay();
+function renderHistory() {
+  const list = document.getElementById("history-list");
+  if (!list) return;
 
-    if (!resultsSection.classList.contains("hidden")) {
-      list.innerHTML = "";
-      resultsSection.classList.add("hidden");
-    }
-  }
+  const entries = ["Game start", ...gameLog.actions.map(action => describeAction(action, sessionState.playerCount))];
+  list.innerHTML = "";
+  entries.forEach((text, position) => {
+    const li = document.createElement("li");
+    li.dataset.position = String(position);
+    li.textContent = text;
+    if (position === gameLog.position) li.classList.add("current");
+    if (position > gameLog.position) li.classList.add("undone");
+    list.appendChild(li);
+  });
 
-  button.addEventListener("click", () => {
+  document.getElementById("undo-btn").disabled = gameLog.position === 0;
+  document.getElementById("redo-btn").disabled = gameLog.position === gameLog.actions.length;
+}
+
+// Search results show how far it got and what each line gains against the position now.
+function renderLookahead(result) {
+  const section = document.getElementById("lookahead");
+  const summary = document.getElementById("lookahead-summary");
+  const list = document.getElementById("lookahead-list");
+  list.innerHTML = "";
+
+  if (!result) {
+    section.classList.add("hidden");
+    return;
+  }
+
+  const cutShort = result.depth < result.depthLimit
+    ? ` (stopped by the time budget; ${result.depthLimit} wanted)`
+    : "";
+  const whose = result.picker === "you"
+    ? "Tap a line to play its first move."
+    : `It is ${describeWhosePick(result.picker)}, so these are their best replies against you.`;
+  summary.textContent =
+    `Searched ${result.depth} pick${result.depth === 1 ? "" : "s"} ahead in ${result.elapsedMs} ms${cutShort}. ` +
+    `Gains are VP-equivalents for you compared with now. ${whose}`;
+
+  result.lines.slice(0, 3).forEach(entry => {
+    const li = document.createElement("li");
+    if (result.picker === "you") {
+      li.dataset.role = entry.move.role;
+      li.dataset.plantation = entry.move.plantation || "";
+      li.dataset.building = entry.move.building || "";
+    }
+
+    const title = document.createElement("div");
+    title.className = "recommendation-title";
+    title.textContent = describeLine(entry.line, sessionState.playerCount);
+
+    const explanation = document.createElement("div");
+    explanation.className = "recommendation-explanation";
+    explanation.textContent = `Net ${formatGain(entry.gain)} by the end of this line.`;
+
+    li.appendChild(title);
+    li.appendChild(explanation);
+    list.appendChild(li);
+  });
+
+  section.classList.remove("hidden");
+}
+
+function formatGain(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return `${rounded >= 0 ? "+" : ""}${rounded}`;
+}
+
+function renderMonteCarlo(results, finished) {
+  const summary = document.getElementById("montecarlo-summary");
+  const list = document.getElementById("montecarlo-list");
+  list.innerHTML = "";
+
+  if (!results) {
+    summary.textContent = "";
+    return;
+  }
+
+  const playouts = results.moves.length ? results.moves[0].playouts : 0;
+  const status = finished ? "Finished" : "Running";
+  const whose = results.picker === "you"
+    ? "Tap a move to play it."
+    : `It is ${describeWhosePick(results.picker)}, so these are their moves, best for them first.`;
+  summary.textContent =
+    `${status}: ${playouts} playouts per move in ${(results.elapsedMs / 1000).toFixed(1)} s. ` +
+    `Averages are VP-equivalents for you after ${results.rounds} rounds, with a 95% range. ${whose}`;
+
+  results.moves.slice(0, 5).forEach(entry => {
+    const li = document.createElement("li");
+    if (results.picker === "you") {
+      li.dataset.role = entry.move.role;
+      li.dataset.plantation = entry.move.plantation || "";
+      li.dataset.building = entry.move.building || "";
+    }
+
+    const title = document.createElement("div");
+    title.className = "recommendation-title";
+    title.textContent = describeLine([entry.move], sessionState.playerCount);
+
+    const explanation = document.createElement("div");
+    explanation.className = "recommendation-explanation";
+    explanation.textContent =
+      `Average ${formatGain(entry.mean)} (range ${formatGain(entry.low)} to ${formatGain(entry.high)}).`;
+
+    li.appendChild(title);
+    li.appendChild(explanation);
+    list.appendChild(li);
+  });
+}
+
+// --- Saved games (localStorage) ---
+
+const AUTOSAVE_KEY = "prHelper.autosave";
+const SAVE_SLOTS_KEY = "prHelper.saves";
+
+// Autosave is held back until the player answers the "resume last game?" prompt,
+// so a fresh page can't overwrite the game they may want back.
+let autosavePaused = false;
+
+function saveProgress() {
+  if (!autosavePaused) {
+    autosaveGame();
+  }
+}
+
+// Everything needed to put the table back: the DOM inputs plus a copy of sessionState.
+function captureGameState() {
+  return {
+    inputs: {
+      governor: document.getElementById("governor-select").value,
+      yourDoubloons: Number(document.getElementById("your-doubloons").value || 0),
+      oppDoubloons: Number(document.getElementById("opp-doubloons").value || 0),
+      otherDoubloons: Object.fromEntries(Array.from(document.querySelectorAll(".other-doubloons"))
+        .map(input => [input.dataset.seat, Number(input.value || 0)])),
+      turnNumber: Number(document.getElementById("turn-number").value || 0),
+      faceUpPlantations: faceUpSelects().map(sel => sel.value),
+      quarriesRemaining: Number(document.getElementById("quarries-remaining").value || 0),
+      availableRoles: Array.from(document.querySelectorAll(".role"))
+        .filter(cb => cb.checked)
+        .map(cb => cb.value)
+    },
+    session: JSON.parse(JSON.stringify(sessionState))
+  };
+}
+
+function restoreGameState(snapshot) {
+  const { inputs, session } = snapshot;
+
+  Object.assign(sessionState, JSON.parse(JSON.stringify(session)));
+  showTableLayout();
+
+  document.getElementById("governor-select").value = inputs.governor;
+  document.getElementById("your-doubloons").value = String(inputs.yourDoubloons);
+  document.getElementById("opp-doubloons").value = String(inputs.oppDoubloons);
+  document.querySelectorAll(".other-doubloons").forEach(input => {
+    input.value = String((inputs.otherDoubloons || {})[input.dataset.seat] || 0);
+  });
+  populatePickNumbers();
+  if (inputs.turnNumber) {
+    document.getElementById("turn-number").value = String(inputs.turnNumber);
+  }
+  faceUpSelects().forEach((sel, i) => {
+    sel.value = inputs.faceUpPlantations[i] || "None";
+  });
+  document.getElementById("quarries-remaining").value = String(inputs.quarriesRemaining);
+  document.getElementById("opp-last-seat").value = nextOpponentPick().who;
+  document.querySelectorAll(".role").forEach(cb => {
+    cb.checked = inputs.availableRoles.includes(cb.value);
+  });
+
+  updateSettlerChoiceOptions();
+  updateStateDisplays();
+  updateTurnDisplay();
+  renderOpponentPrediction();
+  document.getElementById("round-notice").textContent = session.gameOver
+    ? `Game over after round ${session.gameOver.round}: ${describeGameEnd(session.gameOver.reasons)}.`
+    : session.lastRoundEnd ? describeRoundEnd(session.lastRoundEnd) : "";
+  renderScore(stateFromSnapshot(snapshot), session);
+
+  const resultsSection = document.getElementById("results");
+  document.getElementById("recommendation-list").innerHTML = "";
+  renderRuledOut([]);
+  renderWhatIf([]);
+  renderLookahead(null);
+  renderMonteCarlo(null);
+  resultsSection.classList.add("hidden");
+}
+
+function makeSaveRecord(log) {
+  const game = { setup: log.setup, actions: log.actions, position: log.position, startedAt: log.startedAt };
+  return { version: SAVE_VERSION, savedAt: new Date().toISOString(), game: JSON.parse(JSON.stringify(game)) };
+}
+
+// Parsed JSON stored under `key`, or null if there is none or it can't be read.
+function readStorage(key) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("Could not read saved data:", err);
+    return null;
+  }
+}
+
+function writeStorage(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn("Could not save data:", err);
+    return false;
+  }
+}
+
+function loadSaveRecord(record) {
+  try {
+    return migrateSave(JSON.parse(JSON.stringify(record))).game;
+  } catch (err) {
+    console.warn("Could not load save:", err);
+    return null;
+  }
+}
+
+// --- Game files (JSON export/import) ---
+// The file format and parseGameFile live in engine.js.
+
+function makeGameFile(log) {
+  return { format: GAME_FILE_FORMAT, ...makeSaveRecord(log) };
+}
+
+function gameFileName(session) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `puerto-rico-${date}-round-${session.roundNumber}.json`;
+}
+
+function downloadJson(fileName, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// --- Position links (URL hash) ---
+// "#position=..." holds one snapshot as base64url JSON. Only session fields that differ
+// from a fresh game are written, so early-game links stay short; preferences learned
+// from manual moves stay on this device.
+
+const POSITION_LINK_VERSION = 1;
+const POSITION_HASH_PREFIX = "#position=";
+const UNSHARED_SESSION_FIELDS = ["lastRoundEnd"];
+
+function changedFields(values, defaults) {
+  return Object.fromEntries(Object.entries(values)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])));
+}
+
+function compactSession(session) {
+  const defaults = createSessionState(session.playerCount);
+  const { opponent, ...rest } = session;
+  UNSHARED_SESSION_FIELDS.forEach(field => {
+    delete rest[field];
+  });
+  const compact = changedFields(rest, defaults);
+  if (session.playerCount !== 2) {
+    compact.playerCount = session.playerCount;
+  }
+  const opponentChanges = changedFields(opponent, defaults.opponent);
+  if (Object.keys(opponentChanges).length) {
+    compact.opponent = opponentChanges;
+  }
+  return compact;
+}
+
+function toBase64Url(text) {
+  let binary = "";
+  new TextEncoder().encode(text).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  const binary = atob(code.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+function encodePosition(snapshot) {
+  const data = { v: POSITION_LINK_VERSION, i: snapshot.inputs, s: compactSession(snapshot.session) };
+  return toBase64Url(JSON.stringify(data));
+}
+
+// Throws with a message fit for the player when the link is damaged.
+function decodePosition(code) {
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(code));
+  } catch (err) {
+    throw new Error("the link is damaged or incomplete.");
+  }
+  if (!data || data.v !== POSITION_LINK_VERSION) {
+    throw new Error("it was made by a different version of this helper.");
+  }
+
+  const inputs = data.i || {};
+  const session = withSessionDefaults(data.s || {});
+  const valid = seatsFor(session.playerCount).includes(inputs.governor) &&
+    Array.isArray(inputs.faceUpPlantations) &&
+    Array.isArray(inputs.availableRoles) &&
+    ["yourDoubloons", "oppDoubloons", "turnNumber", "quarriesRemaining"]
+      .every(field => Number.isFinite(inputs[field]));
+  if (!valid) {
+    throw new Error("the position in it is incomplete.");
+  }
+  return { inputs, session };
+}
+
+function positionLink(snapshot) {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${POSITION_HASH_PREFIX}${encodePosition(snapshot)}`;
+}
+
+function autosaveGame() {
+  writeStorage(AUTOSAVE_KEY, makeSaveRecord(gameLog));
+}
+
+function readSaveSlots() {
+  return readStorage(SAVE_SLOTS_KEY) || {};
+}
+
+function saveGameToSlot(name) {
+  const slots = readSaveSlots();
+  slots[name] = makeSaveRecord(gameLog);
+  writeStorage(SAVE_SLOTS_KEY, slots);
+}
+
+function deleteSaveSlot(name) {
+  const slots = readSaveSlots();
+  delete slots[name];
+  writeStorage(SAVE_SLOTS_KEY, slots);
+}
+
+function describeSaveRecord(record) {
+  const game = loadSaveRecord(record);
+  const when = new Date(record.savedAt).toLocaleString();
+  if (!game) return `saved ${when}`;
+  const { session } = currentSnapshot(game);
+  return `Round ${session.roundNumber}, turn ${session.turnInRound} – saved ${when}`;
+}
+
+// Worth offering to resume once anything has happened since setup.
+function gameInProgress(game) {
+  const { session } = currentSnapshot(game);
+  return game.position > 0 || session.roundNumber > 1 || session.turnInRound > 1;
+}
+
+function renderSaveSlots(onLoad) {
+  const list = document.getElementById("save-list");
+  if (!list) return;
+
+  const slots = readSaveSlots();
+  const names = Object.keys(slots).sort((a, b) => slots[b].savedAt.localeCompare(slots[a].savedAt));
+  list.innerHTML = "";
+
+  if (!names.length) {
+    const empty = document.createElement("li");
+    empty.className = "hint";
+    empty.textContent = "No saved games yet.";
+    list.appendChild(empty);
+    return;
+  }
+
+  names.forEach(name => {
+    const li = document.createElement("li");
+    li.className = "save-slot";
+
+    const label = document.createElement("span");
+    label.textContent = `${name} (${describeSaveRecord(slots[name])})`;
+
+    const loadBtn = document.createElement("button");
+    loadBtn.textContent = "Load";
+    loadBtn.addEventListener("click", () => onLoad(slots[name]));
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.addEventListener("click", () => {
+      deleteSaveSlot(name);
+      renderSaveSlots(onLoad);
+    });
+
+    li.appendChild(label);
+    li.appendChild(loadBtn);
+    li.appendChild(deleteBtn);
+    list.appendChild(li);
+  });
+}
+
+// --- Strategy profile settings (localStorage) ---
+
+const PROFILES_KEY = "prHelper.profiles";
+
+const WEIGHT_LABELS = {
+  synergy: {
+    startingCorn: "Another Corn, when you started on Corn",
+    startingIndigo: "Another Indigo, when you started on Indigo",
+    startingOther: "Another tile of any other starting crop",
+    newType: "A crop you don't have yet"
+  },
+  quarry: {
+    base: "Base value",
+    earlyTurns: "Bonus on picks 1–3",
+    firstQuarry: "Bonus for your first quarry",
+    secondQuarry: "Bonus for your second quarry",
+    perExtraQuarry: "Penalty per quarry beyond the second"
+  },
+  otherRole: "Score for roles without their own scorer"
+};
+
+function defaultProfileSettings() {
+  return { active: "balanced", profiles: JSON.parse(JSON.stringify(BUILT_IN_PROFILES)) };
+}
+
+function readProfileSettings() {
+  const stored = readStorage(PROFILES_KEY);
+  if (!stored || !stored.profiles || !stored.profiles[stored.active]) {
+    return defaultProfileSettings();
+  }
+  return stored;
+}
+
+function writeProfileSettings(settings) {
+  writeStorage(PROFILES_KEY, settings);
+  useStrategyWeights(settings.profiles[settings.active].weights);
+}
+
+function profileId(name, profiles) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "profile";
+  let id = slug;
+  for (let n = 2; profiles[id]; n++) {
+    id = `${slug}-${n}`;
+  }
+  return id;
+}
+
+function renderProfileSelect(settings) {
+  const select = document.getElementById("profile-select");
+  if (!select) return;
+
+  select.innerHTML = "";
+  Object.entries(settings.profiles).forEach(([id, profile]) => {
+    const opt = document.createElement("option");
+    opt.value = id;
+    opt.textContent = profile.name;
+    select.appendChild(opt);
+  });
+  select.value = settings.active;
+}
+
+// One number input per weight; onEdit(group, key, value) with key null for single numbers.
+function renderProfileEditor(settings, onEdit) {
+  const container = document.getElementById("profile-editor");
+  if (!container) return;
+
+  const weights = mergeWeights(settings.profiles[settings.active].weights);
+  container.innerHTML = "";
+
+  const addInput = (parent, label, value, group, key) => {
+    const row = document.createElement("label");
+    row.className = "weight-field";
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "0.1";
+    input.value = String(value);
+    input.addEventListener("change", () => {
+      const number = Number(input.value);
+      if (Number.isFinite(number)) onEdit(group, key, number);
+    });
+
+    row.appendChild(document.createTextNode(label));
+    row.appendChild(input);
+    parent.appendChild(row);
+  };
+
+  Object.entries(WEIGHT_GROUP_LABELS).forEach(([group, groupLabel]) => {
+    const fieldset = document.createElement("fieldset");
+    const legend = document.createElement("legend");
+    legend.textContent = groupLabel;
+    fieldset.appendChild(legend);
+
+    const labels = WEIGHT_LABELS[group] || {};
+    if (typeof weights[group] === "object") {
+      Object.entries(weights[group]).forEach(([key, value]) => {
+        addInput(fieldset, labels[key] || key, value, group, key);
+      });
+    } else {
+      addInput(fieldset, labels, weights[group], group, null);
+    }
+    container.appendChild(fieldset);
+  });
+}
+
+// --- Learned preference storage (localStorage) ---
+
+const PREFERENCES_KEY = "prHelper.preferences";
+
+function readPreferences() {
+  const stored = readStorage(PREFERENCES_KEY);
+  return stored && Array.isArray(stored.entries) ? stored.entries : [];
+}
+
+function writePreferences(entries) {
+  writeStorage(PREFERENCES_KEY, { version: 1, entries });
+  useLearnedPreferences(entries);
+}
+
+// `context` is the spot the move was chosen in; the table has moved on by now.
+function learnFromManualMove(role, plantation, building, context) {
+  writePreferences(rememberPreference(learnedPreferences, role, plantation, building, context));
+}
+
+function describeLearnedPreferences(entries) {
+  if (!entries.length) {
+    return "Nothing learned yet.";
+  }
+  const counts = {};
+  entries.forEach(entry => {
+    counts[entry.key] = (counts[entry.key] || 0) + 1;
+  });
+  const [topKey] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const [role, plantation, building] = topKey.split("|");
+  const top = [role, plantation || building].filter(Boolean).join(" → ");
+  const noun = entries.length === 1 ? "choice" : "choices";
+  return `${entries.length} remembered ${noun}, most often ${top}.`;
+}
+
+// --- Decision journal (localStorage) ---
+// Reasons typed for manual moves, each kept with the position it was played in and
+// what the helper suggested there.
+
+const JOURNAL_KEY = "prHelper.journal";
+const MAX_JOURNAL_ENTRIES = 200;
+
+function readJournal() {
+  const stored = readStorage(JOURNAL_KEY);
+  return stored && Array.isArray(stored.entries) ? stored.entries : [];
+}
+
+function writeJournal(entries) {
+  writeStorage(JOURNAL_KEY, { version: 1, entries: entries.slice(-MAX_JOURNAL_ENTRIES) });
+}
+
+// `position` is the snapshot before the move; `move` is the logged action.
+function makeJournalEntry(position, move, gameStartedAt) {
+  return {
+    recordedAt: new Date().toISOString(),
+    game: gameStartedAt,
+    position: JSON.parse(JSON.stringify(position)),
+    move: { role: move.role, plantation: move.plantation, building: move.building },
+    reason: move.reason,
+    recommendations: move.recommendations
+  };
+}
+
+function addJournalEntry(position, move) {
+  writeJournal([...readJournal(), makeJournalEntry(position, move, gameLog.startedAt)]);
+}
+
+function describeJournalMove(move) {
+  return [move.role, move.plantation || move.building].filter(Boolean).join(" → ");
+}
+
+function describeJournalGame(startedAt) {
+  return `Game started ${new Date(startedAt).toLocaleString()}`;
+}
+
+function filterJournal(entries, { text = "", role = "", building = "", game = "" }) {
+  const needle = text.trim().toLowerCase();
+  return entries.filter(entry => {
+    if (role && roleKind(entry.move.role) !== role) return false;
+    if (building && entry.move.building !== building) return false;
+    if (game && entry.game !== game) return false;
+    if (!needle) return true;
+    const haystack = [
+      entry.reason,
+      describeJournalMove(entry.move),
+      ...entry.recommendations.map(rec => rec.title)
+    ].join(" ").toLowerCase();
+    return haystack.includes(needle);
+  });
+}
+
+function renderJournalGames(entries, select) {
+  const chosen = select.value;
+  const games = [...new Set(entries.map(entry => entry.game))].sort().reverse();
+  select.innerHTML = "";
+  [["", "Any game"], ...games.map(game => [game, describeJournalGame(game)])].forEach(([value, label]) => {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+  select.value = games.includes(chosen) ? chosen : "";
+}
+
+function renderJournal(entries, onOpen) {
+  const list = document.getElementById("journal-list");
+  list.innerHTML = "";
+
+  if (!entries.length) {
+    const empty = document.createElement("li");
+    empty.className = "hint";
+    empty.textContent = "No journal entries match.";
+    list.appendChild(empty);
+    return;
+  }
+
+  entries.slice().reverse().forEach(entry => {
+    const { session } = entry.position;
+    const li = document.createElement("li");
+
+    const title = document.createElement("div");
+    title.className = "recommendation-title";
+    title.textContent = `Round ${session.roundNumber}, pick ${session.turnInRound}: ${describeJournalMove(entry.move)}`;
+
+    const reason = document.createElement("div");
+    reason.className = "journal-reason";
+    reason.textContent = `“${entry.reason}”`;
+
+    const suggested = document.createElement("div");
+    suggested.className = "hint";
+    suggested.textContent = entry.recommendations.length
+      ? `Helper suggested: ${entry.recommendations.map(rec => rec.title).join("; ")}.`
+      : "The helper had no suggestions.";
+
+    const openBtn = document.createElement("button");
+    openBtn.textContent = "Open position";
+    openBtn.addEventListener("click", () => onOpen(entry));
+
+    li.appendChild(title);
+    li.appendChild(reason);
+    li.appendChild(suggested);
+    li.appendChild(openBtn);
+    list.appendChild(li);
+  });
+}
+
+// --- DOMContentLoaded: hook up events & dynamic behavior ---
+
+function initApp() {
+  const button = document.getElementById("recommend-btn");
+  const playerCountSelect = document.getElementById("player-count");
+  const governorSelect = document.getElementById("governor-select");
+  const yourDoubloonsInput = document.getElementById("your-doubloons");
+  const oppDoubloonsInput = document.getElementById("opp-doubloons");
+  const otherDoubloonRows = document.getElementById("other-doubloons");
+  const resultsSection = document.getElementById("results");
+  const list = document.getElementById("recommendation-list");
+  const showAllOptionsCheckbox = document.getElementById("show-all-options");
+  const whatIfSelects = [document.getElementById("what-if-a"), document.getElementById("what-if-b")];
+  const whatIfBtn = document.getElementById("what-if-btn");
+  const lookaheadDepthSelect = document.getElementById("lookahead-depth");
+  const lookaheadList = document.getElementById("lookahead-list");
+  const monteCarloBtn = document.getElementById("montecarlo-btn");
+  const monteCarloList = document.getElementById("montecarlo-list");
+  const turnSelect = document.getElementById("turn-number");
+  const oppLastSeatSelect = document.getElementById("opp-last-seat");
+  const oppLastRoleSelect = document.getElementById("opp-last-role");
+  const oppSettlerGainSelect = document.getElementById("opp-settler-gain");
+  const oppBuilderBuildingSelect = document.getElementById("opp-builder-building");
+  const quarriesRemainingInput = document.getElementById("quarries-remaining");
+  const applyOppBtn = document.getElementById("apply-opp-btn");
+
+  const manualToggleBtn = document.getElementById("manual-choice-toggle");
+  const manualPanel = document.getElementById("manual-choice-panel");
+  const manualRoleSelect = document.getElementById("manual-role");
+  const manualPlantationSelect = document.getElementById("manual-plantation");
+  const manualBuildingSelect = document.getElementById("manual-building");
+  const manualReasonTextarea = document.getElementById("manual-reason");
+  const manualApplyBtn = document.getElementById("manual-apply-btn");
+
+  const tableCheck = document.getElementById("table-check");
+  const tileCheck = document.getElementById("tile-check");
+  const roleCheck = document.getElementById("role-check");
+  const oppMoveCheck = document.getElementById("opp-move-check");
+  const recommendationCheck = document.getElementById("recommendation-check");
+  const manualMoveCheck = document.getElementById("manual-move-check");
+
+  const plantationSelects = Array.from(document.querySelectorAll(".plantation"));
+
+  const resumeBanner = document.getElementById("resume-banner");
+  const resumeText = document.getElementById("resume-text");
+  const resumeBtn = document.getElementById("resume-btn");
+  const resumeNewBtn = document.getElementById("resume-new-btn");
+  const newGameBtn = document.getElementById("new-game-btn");
+  const saveNameInput = document.getElementById("save-name");
+  const saveBtn = document.getElementById("save-btn");
+  const saveStatus = document.getElementById("save-status");
+  const exportBtn = document.getElementById("export-btn");
+  const importInput = document.getElementById("import-file");
+  const shareBtn = document.getElementById("share-btn");
+  const shareLinkInput = document.getElementById("share-link");
+
+  const profileSelect = document.getElementById("profile-select");
+  const profileEditToggle = document.getElementById("profile-edit-toggle");
+  const profileEditor = document.getElementById("profile-editor");
+  const profileNameInput = document.getElementById("profile-name");
+  const profileSaveAsBtn = document.getElementById("profile-save-as-btn");
+  const profileDeleteBtn = document.getElementById("profile-delete-btn");
+  const profileResetBtn = document.getElementById("profile-reset-btn");
+  const profileExportBtn = document.getElementById("profile-export-btn");
+  const profileImportInput = document.getElementById("profile-import");
+  const profileStatus = document.getElementById("profile-status");
+
+  const journalSearch = document.getElementById("journal-search");
+  const journalRoleSelect = document.getElementById("journal-role");
+  const journalBuildingSelect = document.getElementById("journal-building");
+  const journalGameSelect = document.getElementById("journal-game");
+  const journalStatus = document.getElementById("journal-status");
+
+  const preferencesSummary = document.getElementById("preferences-summary");
+  const forgetPreferencesBtn = document.getElementById("forget-preferences-btn");
+
+  const undoBtn = document.getElementById("undo-btn");
+  const redoBtn = document.getElementById("redo-btn");
+  const historyList = document.getElementById("history-list");
+
+  function startNewGame() {
+    const playerCount = Number(playerCountSelect.value);
+    const governor = seatsFor(playerCount).includes(governorSelect.value) ? governorSelect.value : "you";
+    const tiles = plantationSelects.slice(0, setupFor(playerCount).faceUpTiles).map(sel => sel.value);
+    startGameLog(createSetupSnapshot(governor, tiles, playerCount));
+  }
+
+  // Returns the logged move, or null when the rules check refused it.
+  function applyChosenMove(role, plantation, buildingName, source = "recommendation", reason = null,
+    notice = recommendationCheck) {
+    const move = {
+      ...makeYourMove(role, plantation, buildingName, source),
+      recommendations: summarizeRecommendations(recommendMoves(readStateFromUI()))
+    };
+    if (reason) {
+      move.reason = reason;
+    }
+    return commitChecked(move, notice) ? move : null;
+  }
+
+  function applyOpponentLastRole() {
+    const role = oppLastRoleSelect.value;
+    if (!role) return;
+
+    commitChecked({
+      type: "move",
+      by: tableSeats().length > 2 ? oppLastSeatSelect.value : "opponent",
+      role,
+      plantation: role === "Settler" ? oppSettlerGainSelect.value || null : null,
+      building: role === "Builder" ? oppBuilderBuildingSelect.value || null : null,
+      source: "opponent"
+    }, oppMoveCheck);
+  }
+
+  function showRecommendations() {
     const state = readStateFromUI();
     const recs = recommendMoves(state);
-    renderRecommendations(recs);
+    if (pickerAt(captureGameState()) === "you") {
+      annotateRecommendations(recs, currentOpponentPrediction(), state.roundState);
+    }
+    renderRecommendations(recs, ruledOutMoves(state));
+
+    const maxDepth = Number(lookaheadDepthSelect.value);
+    renderLookahead(maxDepth > 0 ? searchRound(captureGameState(), { maxDepth }) : null);
+  }
+
+  button.addEventListener("click", showRecommendations);
+  showAllOptionsCheckbox.addEventListener("change", () => showAllOptions(showAllOptionsCheckbox.checked));
+
+  // Each move is tried on its own copy of the logged position; nothing is committed
+  whatIfBtn.addEventListener("click", () => {
+    const snapshot = currentSnapshot();
+    const results = whatIfSelects
+      .map(select => select.options[select.selectedIndex])
+      .filter(Boolean)
+      .map(({ dataset }) => whatIf(snapshot, makeYourMove(dataset.role, dataset.plantation, dataset.building, "what-if")));
+    renderWhatIf(results);
   });
 
   list.addEventListener("click", (event) => {
     const li = event.target.closest("li");
-    if (!li) return;
+    // Opening the score breakdown isn't picking the move
+    if (!li || event.target.closest("details")) return;
     const role = li.dataset.role || "";
     const plantation = li.dataset.plantation || "";
     const buildingName = li.dataset.building || "";
     applyChosenMove(role, plantation, buildingName);
   });
 
-  governorSelect.addEventListener("change", () => {
-    syncDoubloonsToGovernor();
-    populatePickNumbers();
+  [[lookaheadList, "lookahead"], [monteCarloList, "montecarlo"]].forEach(([ranking, source]) => {
+    ranking.addEventListener("click", (event) => {
+      const li = event.target.closest("li");
+      if (!li || !li.dataset.role) return;
+      applyChosenMove(li.dataset.role, li.dataset.plantation, li.dataset.building, source);
+    });
   });
 
+  let monteCarloWorker = null;
+
+  function stopMonteCarlo() {
+    if (monteCarloWorker) {
+      monteCarloWorker.terminate();
+      monteCarloWorker = null;
+    }
+  }
+
+  // Pages opened straight from disk may not be allowed workers; a shorter run on the
+  // page itself is better than nothing.
+  function runMonteCarloHere(snapshot) {
+    stopMonteCarlo();
+    renderMonteCarlo(runMonteCarlo(snapshot, { timeBudgetMs: 1500 }), true);
+  }
+
+  function startMonteCarlo() {
+    stopMonteCarlo();
+    const snapshot = captureGameState();
+    const startedFrom = JSON.stringify(snapshot);
+    document.getElementById("montecarlo-summary").textContent = "Simulating…";
+
+    try {
+      monteCarloWorker = new Worker("montecarlo-worker.js");
+    } catch (err) {
+      runMonteCarloHere(snapshot);
+      return;
+    }
+
+    monteCarloWorker.onmessage = (event) => {
+      // A move or edit since the run started makes its answer stale
+      if (JSON.stringify(captureGameState()) !== startedFrom) {
+        stopMonteCarlo();
+        return;
+      }
+      const finished = event.data.type === "done";
+      renderMonteCarlo(event.data.results, finished);
+      if (finished) stopMonteCarlo();
+    };
+    monteCarloWorker.onerror = (event) => {
+      event.preventDefault();
+      runMonteCarloHere(snapshot);
+    };
+    monteCarloWorker.postMessage({ snapshot, weights: activeWeights, preferences: learnedPreferences });
+  }
+
+  monteCarloBtn.addEventListener("click", startMonteCarlo);
+
+  // Changing the players or the Governor by hand starts the game over from setup
+  playerCountSelect.addEventListener("change", startNewGame);
+  governorSelect.addEventListener("change", startNewGame);
+
   applyOppBtn.addEventListener("click", applyOpponentLastRole);
 
   manualToggleBtn.addEventListener("click", () => {
@@ -863,37 +1683,327 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    const plantation = manualPlantationSelect.value || "";
-    const buildingName = manualBuildingSelect.value || "";
+    // A refused move keeps the panel filled in, so only send what the role uses
+    const plantation = role === "Settler" ? manualPlantationSelect.value : "";
+    const buildingName = role === "Builder" ? manualBuildingSelect.value : "";
     const reason = manualReasonTextarea.value.trim();
 
-    recordFeedback(role, plantation || null, buildingName || null);
-
+    const position = captureGameState();
+    const context = preferenceContext(readStateFromUI());
+    const move = applyChosenMove(role, plantation, buildingName, "manual", reason, manualMoveCheck);
+    if (!move) return;
+    learnFromManualMove(role, plantation, buildingName, context);
+    showLearnedPreferences();
     if (reason) {
-      console.log("Player explanation:", {
-        role,
-        plantation: plantation || null,
-        building: buildingName || null,
-        reason
-      });
+      addJournalEntry(position, move);
+      showJournal();
     }
 
-    applyChosenMove(role, plantation || null, buildingName || null);
-
     manualPlantationSelect.value = "";
     manualBuildingSelect.value = "";
     manualReasonTextarea.value = "";
   });
 
-  // When plantations or quarries change, refresh Settler options
-  plantationSelects.forEach(sel => {
-    sel.addEventListener("change", updateSettlerChoiceOptions);
+  // Hand corrections to the table are logged like moves, so they can be undone too
+  [
+    [yourDoubloonsInput, "yourDoubloons", tableCheck],
+    [oppDoubloonsInput, "oppDoubloons", tableCheck],
+    [turnSelect, "turnNumber", tableCheck],
+    [quarriesRemainingInput, "quarriesRemaining", tileCheck]
+  ].forEach(([input, field, notice]) => {
+    input.addEventListener("change", () => {
+      commitChecked({ type: "edit", field, value: Number(input.value || 0) }, notice);
+    });
+  });
+  otherDoubloonRows.addEventListener("change", (event) => {
+    const input = event.target.closest(".other-doubloons");
+    if (!input) return;
+    commitChecked({ type: "edit", field: "otherDoubloons", who: input.dataset.seat, value: Number(input.value || 0) },
+      tableCheck);
+  });
+  plantationSelects.forEach((sel, index) => {
+    sel.addEventListener("change", () => {
+      commitChecked({ type: "edit", field: "faceUp", index, value: sel.value }, tileCheck);
+    });
+  });
+  document.querySelectorAll(".role").forEach(cb => {
+    cb.addEventListener("change", () => {
+      commitChecked({ type: "edit", field: "role", role: cb.value, value: cb.checked }, roleCheck);
+    });
   });
-  quarriesRemainingInput.addEventListener("change", updateSettlerChoiceOptions);
 
-  syncDoubloonsToGovernor();
-  populatePickNumbers();
-  updateStateDisplays();
-  updateTurnDisplay();
-  updateSettlerChoiceOptions();
-});
+  undoBtn.addEventListener("click", () => jumpToAction(gameLog.position - 1));
+  redoBtn.addEventListener("click", () => jumpToAction(gameLog.position + 1));
+  historyList.addEventListener("click", (event) => {
+    const li = event.target.closest("li");
+    if (!li) return;
+    jumpToAction(Number(li.dataset.position));
+  });
+
+  function loadGameRecord(record) {
+    const game = loadSaveRecord(record);
+    if (!game) {
+      saveStatus.textContent = "That save could not be loaded.";
+      return;
+    }
+    autosavePaused = false;
+    resumeBanner.classList.add("hidden");
+    // saves from before games were stamped fall back to when they were saved
+    startGameLog(game.setup, game.actions, game.position, game.startedAt || record.savedAt);
+    saveStatus.textContent = `Loaded: ${describeSaveRecord(record)}.`;
+  }
+
+  newGameBtn.addEventListener("click", startNewGame);
+
+  shareBtn.addEventListener("click", () => {
+    const link = positionLink(captureGameState());
+    shareLinkInput.value = link;
+    shareLinkInput.classList.remove("hidden");
+    shareLinkInput.select();
+
+    if (!navigator.clipboard) {
+      saveStatus.textContent = "Copy the link below to share this position.";
+      return;
+    }
+    navigator.clipboard.writeText(link)
+      .then(() => {
+        saveStatus.textContent = "Link to this position copied.";
+      })
+      .catch(() => {
+        saveStatus.textContent = "Copy the link below to share this position.";
+      });
+  });
+
+  // A shared position becomes the setup of a fresh game log. The hash is cleared once
+  // read, so a reload resumes the autosave instead of resetting to the shared position.
+  function openSharedPosition() {
+    const { hash, pathname, search } = window.location;
+    if (!hash.startsWith(POSITION_HASH_PREFIX)) return false;
+    history.replaceState(null, "", `${pathname}${search}`);
+
+    try {
+      startGameLog(decodePosition(hash.slice(POSITION_HASH_PREFIX.length)));
+      saveStatus.textContent = "Opened a shared position.";
+      return true;
+    } catch (err) {
+      saveStatus.textContent = `Could not open that position link: ${err.message}`;
+      return false;
+    }
+  }
+
+  window.addEventListener("hashchange", openSharedPosition);
+
+  exportBtn.addEventListener("click", () => {
+    downloadJson(gameFileName(sessionState), makeGameFile(gameLog));
+    saveStatus.textContent = "Game exported.";
+  });
+
+  importInput.addEventListener("change", () => {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const game = parseGameFile(text);
+        autosavePaused = false;
+        resumeBanner.classList.add("hidden");
+        startGameLog(game.setup, game.actions, game.position, game.startedAt);
+        saveStatus.textContent = `Imported ${file.name}.`;
+      })
+      .catch(err => {
+        saveStatus.textContent = `Could not import ${file.name}: ${err.message}`;
+      })
+      .finally(() => {
+        importInput.value = "";
+      });
+  });
+
+  saveBtn.addEventListener("click", () => {
+    const name = saveNameInput.value.trim() ||
+      `Round ${sessionState.roundNumber} game`;
+    saveGameToSlot(name);
+    saveNameInput.value = "";
+    saveStatus.textContent = `Saved as "${name}".`;
+    renderSaveSlots(loadGameRecord);
+  });
+
+  resumeBtn.addEventListener("click", () => {
+    loadGameRecord(readStorage(AUTOSAVE_KEY));
+  });
+
+  resumeNewBtn.addEventListener("click", () => {
+    autosavePaused = false;
+    resumeBanner.classList.add("hidden");
+    saveProgress();
+  });
+
+  // --- Decision journal ---
+
+  const JOURNAL_RETURN_SLOT = "Before opening a journal entry";
+
+  function showJournal() {
+    const entries = readJournal();
+    renderJournalGames(entries, journalGameSelect);
+    renderJournal(filterJournal(entries, {
+      text: journalSearch.value,
+      role: journalRoleSelect.value,
+      building: journalBuildingSelect.value,
+      game: journalGameSelect.value
+    }), openJournalEntry);
+  }
+
+  // The journal position starts a fresh game log, like a shared link; a game in
+  // progress is parked in a save slot first so nothing is lost.
+  function openJournalEntry(entry) {
+    const parked = gameInProgress(gameLog);
+    if (parked) {
+      saveGameToSlot(JOURNAL_RETURN_SLOT);
+      renderSaveSlots(loadGameRecord);
+    }
+    autosavePaused = false;
+    resumeBanner.classList.add("hidden");
+    startGameLog({
+      inputs: entry.position.inputs,
+      session: withSessionDefaults(entry.position.session)
+    });
+    showRecommendations();
+    journalStatus.textContent = parked
+      ? `Opened the position; your game was kept in the save slot "${JOURNAL_RETURN_SLOT}".`
+      : "Opened the position.";
+  }
+
+  journalSearch.addEventListener("input", showJournal);
+  [journalRoleSelect, journalBuildingSelect, journalGameSelect].forEach(select => {
+    select.addEventListener("change", showJournal);
+  });
+
+  // --- Strategy profiles ---
+
+  let profileSettings = readProfileSettings();
+
+  // Recommendations on screen were scored with the old weights
+  function weightsChanged() {
+    writeProfileSettings(profileSettings);
+    resultsSection.classList.add("hidden");
+    renderOpponentPrediction();
+  }
+
+  function showProfiles(message) {
+    weightsChanged();
+    renderProfileSelect(profileSettings);
+    renderProfileEditor(profileSettings, editWeight);
+    profileStatus.textContent = message;
+  }
+
+  function activeProfile() {
+    return profileSettings.profiles[profileSettings.active];
+  }
+
+  function editWeight(group, key, value) {
+    const profile = activeProfile();
+    profile.weights[group] = key === null ? value : { ...profile.weights[group], [key]: value };
+    weightsChanged();
+    profileStatus.textContent = `Updated ${profile.name}.`;
+  }
+
+  function addProfile(name, weights) {
+    const id = profileId(name, profileSettings.profiles);
+    profileSettings.profiles[id] = { name, weights: JSON.parse(JSON.stringify(weights)) };
+    profileSettings.active = id;
+  }
+
+  profileSelect.addEventListener("change", () => {
+    profileSettings.active = profileSelect.value;
+    showProfiles(`Using ${activeProfile().name}.`);
+  });
+
+  profileEditToggle.addEventListener("click", () => {
+    profileEditor.classList.toggle("hidden");
+  });
+
+  profileSaveAsBtn.addEventListener("click", () => {
+    const name = profileNameInput.value.trim() || `${activeProfile().name} copy`;
+    addProfile(name, activeProfile().weights);
+    profileNameInput.value = "";
+    showProfiles(`Created ${name}.`);
+  });
+
+  profileDeleteBtn.addEventListener("click", () => {
+    const ids = Object.keys(profileSettings.profiles);
+    if (ids.length === 1) {
+      profileStatus.textContent = "Keep at least one profile.";
+      return;
+    }
+    const { name } = activeProfile();
+    delete profileSettings.profiles[profileSettings.active];
+    profileSettings.active = Object.keys(profileSettings.profiles)[0];
+    showProfiles(`Deleted ${name}.`);
+  });
+
+  profileResetBtn.addEventListener("click", () => {
+    Object.assign(profileSettings.profiles, JSON.parse(JSON.stringify(BUILT_IN_PROFILES)));
+    showProfiles("Built-in profiles restored; your own profiles are untouched.");
+  });
+
+  profileExportBtn.addEventListener("click", () => {
+    downloadJson(`${profileSettings.active}.json`, makeProfileFile(activeProfile()));
+    profileStatus.textContent = `Exported ${activeProfile().name}.`;
+  });
+
+  profileImportInput.addEventListener("change", () => {
+    const file = profileImportInput.files[0];
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const { name, weights } = parseProfileFile(text);
+        addProfile(name, weights);
+        showProfiles(`Imported ${name}.`);
+      })
+      .catch(err => {
+        profileStatus.textContent = `Could not import ${file.name}: ${err.message}`;
+      })
+      .finally(() => {
+        profileImportInput.value = "";
+      });
+  });
+
+  useStrategyWeights(activeProfile().weights);
+  renderProfileSelect(profileSettings);
+  renderProfileEditor(profileSettings, editWeight);
+
+  // --- Learned preferences ---
+
+  function showLearnedPreferences() {
+    preferencesSummary.textContent = describeLearnedPreferences(learnedPreferences);
+  }
+
+  forgetPreferencesBtn.addEventListener("click", () => {
+    writePreferences([]);
+    showLearnedPreferences();
+    resultsSection.classList.add("hidden");
+  });
+
+  useLearnedPreferences(readPreferences());
+  showLearnedPreferences();
+
+  populateBuildingSelects();
+  renderSaveSlots(loadGameRecord);
+  showJournal();
+
+  // Offer the last autosaved game if anything happened in it
+  const lastGame = readStorage(AUTOSAVE_KEY);
+  const lastLog = lastGame ? loadSaveRecord(lastGame) : null;
+  if (lastLog && gameInProgress(lastLog)) {
+    autosavePaused = true;
+    resumeText.textContent = `Resume your last game? ${describeSaveRecord(lastGame)}.`;
+    resumeBanner.classList.remove("hidden");
+  }
+  if (openSharedPosition()) {
+    resumeNewBtn.textContent = "Keep the shared position";
+  } else {
+    startNewGame();
+  }
+}
+
+document.addEventListener("DOMContentLoaded", initApp);
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+// Prints the helper's ranked recommendations for a position, without a browser.
+//
+//   node cli.js <position.json | -> [--top N] [--profile <id>] [--json]
+//
+// The file is either a game exported from the helper (its current position is used)
+// or a bare { inputs, session } snapshot; "-" reads it from stdin.
+
+const fs = require("fs");
+const engine = require("./engine.js");
+
+const USAGE = "Usage: node cli.js <position.json | -> [--top N] [--profile <id>] [--json]";
+
+function parseArgs(argv) {
+  const options = { file: null, top: 5, profile: "balanced", json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--top") {
+      options.top = Number(argv[++i]);
+      if (!Number.isInteger(options.top) || options.top < 1) {
+        throw new Error("--top needs a whole number of at least 1.");
+      }
+    } else if (arg === "--profile") {
+      options.profile = argv[++i];
+      if (!engine.BUILT_IN_PROFILES[options.profile]) {
+        const ids = Object.keys(engine.BUILT_IN_PROFILES).join(", ");
+        throw new Error(`Unknown profile "${options.profile}". Built-in profiles: ${ids}.`);
+      }
+    } else if (!options.file && (arg === "-" || !arg.startsWith("--"))) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unknown option ${arg}.`);
+    }
+  }
+  if (!options.file) {
+    throw new Error("No position file given.");
+  }
+  return options;
+}
+
+// Throws with a message fit for the command line when the file can't be used.
+function readPosition(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("That file is not valid JSON.");
+  }
+
+  if (data && data.format === engine.GAME_FILE_FORMAT) {
+    const game = engine.parseGameFile(text);
+    return engine.replayActions(game.setup, game.actions.slice(0, game.position));
+  }
+  if (data && data.inputs && data.session) {
+    return { inputs: data.inputs, session: engine.withSessionDefaults(data.session) };
+  }
+  throw new Error("Expected a game exported from the helper or a { inputs, session } snapshot.");
+}
+
+// Same ranking the page shows, for whoever is to pick, with the opponent-prediction
+// warnings on your own pick. Your learned preferences only apply to your moves.
+function rankRecommendations(snapshot) {
+  const picker = engine.pickerAt(snapshot);
+  if (picker !== "you") {
+    const state = engine.stateFor(snapshot, picker);
+    state.turnNumber = snapshot.session.turnInRound;
+    state.preferences = [];
+    return engine.recommendMoves(state);
+  }
+
+  const state = engine.stateFromSnapshot(snapshot);
+  const recs = engine.recommendMoves(state);
+  const { governor } = snapshot.inputs;
+  const { turnInRound, opponentPicks } = snapshot.session;
+  const turnNumber = engine.opponentPickNumber(governor, turnInRound, state.playerCount);
+  const prediction = engine.predictOpponentMoves(
+    state, opponentPicks, turnNumber, engine.opponentAtPick(governor, turnNumber, state.playerCount));
+  engine.annotateRecommendations(recs, prediction, state.roundState);
+  return recs;
+}
+
+function formatRecommendations(snapshot, recs, top) {
+  const { roundNumber, turnInRound, playerCount } = snapshot.session;
+  const picker = engine.pickerAt(snapshot);
+  const whose = picker === "you"
+    ? "your pick"
+    : playerCount > 2 ? `${engine.seatLabel(picker, playerCount)}'s pick` : "your opponent's pick";
+  const picks = engine.setupFor(playerCount).picksPerRound;
+  const lines = [`Round ${roundNumber}, turn ${turnInRound} of ${picks} – it is ${whose}.`];
+
+  if (!recs.length) {
+    lines.push("No roles left to recommend.");
+  }
+  recs.slice(0, top).forEach((rec, i) => {
+    lines.push("", `${i + 1}. ${rec.title} (score ${rec.score.toFixed(2)})`, `   ${rec.explanation}`);
+    if (rec.warning) {
+      lines.push(`   ${rec.warning}`);
+    }
+  });
+  return lines.join("\n");
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  let snapshot;
+  try {
+    snapshot = readPosition(fs.readFileSync(options.file === "-" ? 0 : options.file, "utf8"));
+  } catch (err) {
+    console.error(`Could not read ${options.file}: ${err.message}`);
+    return 1;
+  }
+
+  try {
+    engine.useStrategyWeights(engine.BUILT_IN_PROFILES[options.profile].weights);
+    const recs = rankRecommendations(snapshot);
+
+    if (options.json) {
+      const round = value => Math.round(value * 100) / 100;
+      const ranked = recs.slice(0, options.top).map(rec => ({
+        ...rec,
+        score: round(rec.score),
+        parts: rec.parts.map(part => ({ ...part, value: round(part.value) }))
+      }));
+      console.log(JSON.stringify(ranked, null, 2));
+    } else {
+      console.log(formatRecommendations(snapshot, recs, options.top));
+    }
+    return 0;
+  } catch (err) {
+    console.error(`Could not rank the moves for ${options.file}: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, readPosition, rankRecommendations, formatRecommendations };
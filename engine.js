@@ -0,0 +1,2802 @@
+// Rules and recommendation engine. No DOM access, so the same file runs in the page
+// (before app.js), in the Monte Carlo worker and under Node via the exports at the end.
+
+// --- Game setup by player count ---
+// The official 2-player variant and the base-game setup for 3–5 players. Per-seat lists
+// (starting crops and doubloons) run clockwise from the Governor.
+
+const GOOD_TYPES = ["Corn", "Indigo", "Sugar", "Tobacco", "Coffee"];
+
+const PLANTATION_TYPES = ["Corn", "Indigo", "Sugar", "Tobacco", "Coffee"];
+
+const ROLES = ["Settler", "Mayor", "Builder", "Craftsman", "Trader", "Captain", "Prospector"];
+
+// The 5-player game has a second Prospector card with its own doubloon pile.
+const SECOND_PROSPECTOR = "Prospector II";
+
+const TWO_PLAYER_SETUP = {
+  playerCount: 2,
+  colonistSupply: 40,         // colonists in the supply at the start
+  colonistShip: 2,            // colonists on the ship at the start (one per player)
+  goodsSupply: { Corn: 8, Indigo: 9, Sugar: 9, Tobacco: 7, Coffee: 7 },
+  cargoShips: [4, 6],         // ship capacities
+  vpChips: 65,
+  // plantation tiles per type, including the starting tiles
+  plantationTiles: { Corn: 7, Indigo: 9, Sugar: 8, Tobacco: 6, Coffee: 5 },
+  faceUpTiles: 3,
+  quarries: 5,
+  startingDoubloons: [3, 2],
+  startingCrops: ["Indigo", "Corn"],
+  buildingCopies: { "small-production": 2, "large-production": 2, violet: 1, large: 1 },
+  roles: ROLES,
+  picksPerRound: 6            // the Governor picks 1st, 3rd and 5th
+};
+
+const BASE_GAME_GOODS = { Corn: 10, Indigo: 11, Sugar: 11, Tobacco: 9, Coffee: 9 };
+const BASE_GAME_TILES = { Corn: 10, Indigo: 12, Sugar: 11, Tobacco: 9, Coffee: 8 };
+const BASE_GAME_BUILDING_COPIES = { "small-production": 4, "large-production": 3, violet: 2, large: 1 };
+
+const PLAYER_COUNT_SETUPS = {
+  2: TWO_PLAYER_SETUP,
+  3: {
+    playerCount: 3,
+    colonistSupply: 55,
+    colonistShip: 3,
+    goodsSupply: BASE_GAME_GOODS,
+    cargoShips: [4, 5, 6],
+    vpChips: 75,
+    plantationTiles: BASE_GAME_TILES,
+    buildingCopies: BASE_GAME_BUILDING_COPIES,
+    faceUpTiles: 4,
+    quarries: 8,
+    startingDoubloons: [2, 2, 2],
+    startingCrops: ["Indigo", "Indigo", "Corn"],
+    roles: ROLES.filter(role => role !== "Prospector"),
+    picksPerRound: 3
+  },
+  4: {
+    playerCount: 4,
+    colonistSupply: 75,
+    colonistShip: 4,
+    goodsSupply: BASE_GAME_GOODS,
+    cargoShips: [5, 6, 7],
+    vpChips: 100,
+    plantationTiles: BASE_GAME_TILES,
+    buildingCopies: BASE_GAME_BUILDING_COPIES,
+    faceUpTiles: 5,
+    quarries: 8,
+    startingDoubloons: [3, 3, 3, 3],
+    startingCrops: ["Indigo", "Indigo", "Corn", "Corn"],
+    roles: ROLES,
+    picksPerRound: 4
+  },
+  5: {
+    playerCount: 5,
+    colonistSupply: 95,
+    colonistShip: 5,
+    goodsSupply: BASE_GAME_GOODS,
+    cargoShips: [6, 7, 8],
+    vpChips: 122,
+    plantationTiles: BASE_GAME_TILES,
+    buildingCopies: BASE_GAME_BUILDING_COPIES,
+    faceUpTiles: 6,
+    quarries: 8,
+    startingDoubloons: [4, 4, 4, 4, 4],
+    startingCrops: ["Indigo", "Indigo", "Indigo", "Corn", "Corn"],
+    roles: [...ROLES, SECOND_PROSPECTOR],
+    picksPerRound: 5
+  }
+};
+
+const PLAYER_COUNTS = [2, 3, 4, 5];
+
+// Seats in clockwise order from you; "opponent" sits on your left.
+const SEATS = ["you", "opponent", "opponent2", "opponent3", "opponent4"];
+
+function setupFor(playerCount) {
+  return PLAYER_COUNT_SETUPS[playerCount] || TWO_PLAYER_SETUP;
+}
+
+function seatsFor(playerCount) {
+  return SEATS.slice(0, setupFor(playerCount).playerCount);
+}
+
+// "Opponent" in a 2-player game; "Opponent 1", "Opponent 2", … with more players.
+function seatLabel(who, playerCount = 2) {
+  if (who === "you") return "You";
+  return setupFor(playerCount).playerCount === 2 ? "Opponent" : `Opponent ${SEATS.indexOf(who)}`;
+}
+
+// A state's seats in phase order: the role's picker first, then clockwise. States
+// built by hand without `players` are a 2-player table.
+function phaseOrder(state, picker) {
+  const players = state.players || ["you", "opponent"];
+  const start = Math.max(0, players.indexOf(picker));
+  return players.map((_, i) => players[(start + i) % players.length]);
+}
+
+function rivalsOf(state) {
+  return (state.players || ["you", "opponent"]).filter(who => who !== "you");
+}
+
+// The role a card plays (both Prospectors are Prospector).
+function roleKind(role) {
+  return role === SECOND_PROSPECTOR ? "Prospector" : role;
+}
+
+function emptyPlantationCounts() {
+  return Object.fromEntries(PLANTATION_TYPES.map(type => [type, 0]));
+}
+
+function emptyRoleCounts() {
+  return Object.fromEntries(ROLES.map(role => [role, 0]));
+}
+
+function emptyRoleCoins() {
+  return emptyRoleCounts();
+}
+
+// --- Trading house ---
+const GOOD_PRICES = { Corn: 0, Indigo: 1, Sugar: 2, Tobacco: 3, Coffee: 4 };
+const TRADING_HOUSE_SLOTS = 4;
+
+function emptyColonists() {
+  return { plantations: {}, quarries: 0, buildings: {} };
+}
+
+function emptyGoods() {
+  return { Corn: 0, Indigo: 0, Sugar: 0, Tobacco: 0, Coffee: 0 };
+}
+
+function emptyCargoShips(playerCount = 2) {
+  return setupFor(playerCount).cargoShips.map(capacity => ({ capacity, good: null, count: 0 }));
+}
+
+function emptyPlayerBoard() {
+  return {
+    extraPlantations: [],       // plantations beyond starting
+    quarries: 0,
+    buildings: [],
+    colonists: emptyColonists(),
+    sanJuan: 0,
+    goods: emptyGoods(),
+    vp: 0
+  };
+}
+
+// --- Session state (the page keeps one copy in app.js; snapshots carry their own) ---
+function createSessionState(playerCount = 2) {
+  const setup = setupFor(playerCount);
+  const seats = seatsFor(playerCount);
+  return {
+    playerCount: setup.playerCount,
+    extraPlantations: [],       // your plantations beyond starting
+    quarries: 0,                // your quarries
+    buildings: [],              // your buildings
+    colonists: emptyColonists(), // your colonists on plantations/quarries/buildings
+    sanJuan: 0,                 // your unplaced colonists
+    goods: emptyGoods(),        // your goods in storage
+    vp: 0,                      // your VP chips from shipping
+    opponent: emptyPlayerBoard(), // the opponent on your left
+    // boards of the opponents beyond the first, by seat ("opponent2", …)
+    otherOpponents: Object.fromEntries(seats.slice(2).map(seat => [seat, emptyPlayerBoard()])),
+    colonistSupply: setup.colonistSupply,
+    colonistShip: setup.colonistShip,
+    goodsSupply: { ...setup.goodsSupply },
+    tradingHouse: [],           // goods sold this cycle, cleared when all 4 slots are full
+    cargoShips: emptyCargoShips(playerCount),
+    vpSupply: setup.vpChips,
+    // starting crops are fixed at setup, even though the Governor passes every round
+    startingPlantations: Object.fromEntries(seats.map((seat, i) => [seat, setup.startingCrops[i]])),
+    roleCoins: emptyRoleCoins(), // doubloons piled up on roles nobody took
+    discardedPlantations: emptyPlantationCounts(), // unchosen face-up tiles since the last reshuffle
+    // roles the opponents took, against the share a random picker would have taken
+    opponentPicks: { taken: emptyRoleCounts(), expected: emptyRoleCounts() },
+    turnInRound: 1,             // 1–6 within the current round (1–N with 3+ players)
+    rolesTakenThisRound: [],    // picked roles can't be put back until the round ends
+    roundNumber: 1,
+    lastRoundEnd: null,         // { round, coinedRoles, governor } until the next move
+    endTriggers: [],            // end conditions met this round: "vp" | "colonists" | "city"
+    gameOver: null              // { round, reasons } once the round with a trigger is over
+  };
+}
+
+// --- Base-game building catalogue ---
+// column: 1–4, also the most quarries that can discount it; size: city spaces taken;
+// effect: the phase the building changes (large buildings score at game end).
+// What each building is worth to the Builder scorer lives in the strategy profiles.
+const BUILDINGS = [
+  { name: "Small Indigo Plant", type: "production", group: "small-production", crop: "Indigo", cost: 1, vp: 1, circles: 1, column: 1, size: 1, effect: "production" },
+  { name: "Small Sugar Mill", type: "production", group: "small-production", crop: "Sugar", cost: 2, vp: 1, circles: 1, column: 1, size: 1, effect: "production" },
+  { name: "Indigo Plant", type: "production", group: "large-production", crop: "Indigo", cost: 3, vp: 2, circles: 3, column: 2, size: 1, effect: "production" },
+  { name: "Sugar Mill", type: "production", group: "large-production", crop: "Sugar", cost: 4, vp: 2, circles: 3, column: 2, size: 1, effect: "production" },
+  { name: "Tobacco Storage", type: "production", group: "large-production", crop: "Tobacco", cost: 5, vp: 3, circles: 3, column: 3, size: 1, effect: "production" },
+  { name: "Coffee Roaster", type: "production", group: "large-production", crop: "Coffee", cost: 6, vp: 3, circles: 2, column: 3, size: 1, effect: "production" },
+
+  { name: "Small Market", type: "violet", group: "violet", crop: null, cost: 1, vp: 1, circles: 1, column: 1, size: 1, effect: "trader" },
+  { name: "Hacienda", type: "violet", group: "violet", crop: null, cost: 2, vp: 1, circles: 1, column: 1, size: 1, effect: "settler" },
+  { name: "Construction Hut", type: "violet", group: "violet", crop: null, cost: 2, vp: 1, circles: 1, column: 1, size: 1, effect: "settler" },
+  { name: "Small Warehouse", type: "violet", group: "violet", crop: null, cost: 3, vp: 1, circles: 1, column: 1, size: 1, effect: "captain" },
+  { name: "Hospice", type: "violet", group: "violet", crop: null, cost: 4, vp: 2, circles: 1, column: 2, size: 1, effect: "settler" },
+  { name: "Office", type: "violet", group: "violet", crop: null, cost: 5, vp: 2, circles: 1, column: 2, size: 1, effect: "trader" },
+  { name: "Large Market", type: "violet", group: "violet", crop: null, cost: 5, vp: 2, circles: 1, column: 2, size: 1, effect: "trader" },
+  { name: "Large Warehouse", type: "violet", group: "violet", crop: null, cost: 6, vp: 2, circles: 1, column: 2, size: 1, effect: "captain" },
+  { name: "University", type: "violet", group: "violet", crop: null, cost: 8, vp: 3, circles: 1, column: 3, size: 1, effect: "builder" },
+  { name: "Factory", type: "violet", group: "violet", crop: null, cost: 7, vp: 3, circles: 1, column: 3, size: 1, effect: "craftsman" },
+  { name: "Harbor", type: "violet", group: "violet", crop: null, cost: 8, vp: 3, circles: 1, column: 3, size: 1, effect: "captain" },
+  { name: "Wharf", type: "violet", group: "violet", crop: null, cost: 9, vp: 3, circles: 1, column: 3, size: 1, effect: "captain" },
+
+  { name: "Guild Hall", type: "large", group: "large", crop: null, cost: 10, vp: 4, circles: 1, column: 4, size: 2, effect: "endgame" },
+  { name: "Residence", type: "large", group: "large", crop: null, cost: 10, vp: 4, circles: 1, column: 4, size: 2, effect: "endgame" },
+  { name: "Fortress", type: "large", group: "large", crop: null, cost: 10, vp: 4, circles: 1, column: 4, size: 2, effect: "endgame" },
+  { name: "Customs House", type: "large", group: "large", crop: null, cost: 10, vp: 4, circles: 1, column: 4, size: 2, effect: "endgame" },
+  { name: "City Hall", type: "large", group: "large", crop: null, cost: 10, vp: 4, circles: 1, column: 4, size: 2, effect: "endgame" }
+];
+
+// Each player's city has 12 building spaces; large buildings take two. The island
+// has 12 spaces too, for plantations and quarries.
+const CITY_SPACES = 12;
+const ISLAND_SPACES = 12;
+
+const BUILDING_GROUP_LABELS = {
+  "small-production": "Small production",
+  "large-production": "Large production",
+  violet: "Violet buildings",
+  large: "Large buildings"
+};
+
+// Catalogue entry for a building name; "Other" and unknown names have none.
+function findBuilding(name) {
+  return BUILDINGS.find(b => b.name === name) || null;
+}
+
+function buildingCost(name) {
+  const building = findBuilding(name);
+  return building ? building.cost : 0;
+}
+
+function productionCrop(name) {
+  const building = findBuilding(name);
+  return building && building.type === "production" ? building.crop : null;
+}
+
+// --- Learned preferences ---
+// Every manual move is remembered with the spot it was played in, across games. A later
+// recommendation of the same move gets a bonus scaled by how alike the two spots are and
+// how recently the override happened, so a habit from one situation doesn't skew others.
+
+const PREFERENCE_BONUS = 0.3;          // per fresh override in an identical spot
+const PREFERENCE_BONUS_CAP = 1.5;
+const PREFERENCE_HALF_LIFE_DAYS = 30;
+const PREFERENCE_MISMATCH = 0.25;      // what's left when Governor status or starting crop differ
+const PREFERENCE_MIN_WEIGHT = 0.05;    // faded entries are dropped when a new one is stored
+const MAX_PREFERENCES = 300;
+
+let learnedPreferences = [];           // [{ key, context, at }], oldest first
+
+function useLearnedPreferences(entries) {
+  learnedPreferences = entries;
+}
+
+function moveKey(role, plantation, building) {
+  return `${role || ""}|${plantation || ""}|${building || ""}`;
+}
+
+function preferenceContext(state) {
+  return {
+    turnNumber: state.turnNumber,
+    isGovernor: Boolean(state.isGovernor),
+    doubloons: state.you.doubloons,
+    startingCrop: state.you.startingPlantation
+  };
+}
+
+// 1 for the same spot, falling off with distance in pick number and doubloons.
+function contextSimilarity(a, b) {
+  const turn = Math.max(0, 1 - Math.abs(a.turnNumber - b.turnNumber) / 3);
+  const money = Math.max(0, 1 - Math.abs(a.doubloons - b.doubloons) / 4);
+  const governor = a.isGovernor === b.isGovernor ? 1 : PREFERENCE_MISMATCH;
+  const crop = a.startingCrop === b.startingCrop ? 1 : PREFERENCE_MISMATCH;
+  return turn * money * governor * crop;
+}
+
+function preferenceDecay(recordedAt, now) {
+  const days = Math.max(0, (now - Date.parse(recordedAt)) / 86400000);
+  return Math.pow(0.5, days / PREFERENCE_HALF_LIFE_DAYS);
+}
+
+function preferenceBonus(role, plantation, building, context, entries = learnedPreferences, now = Date.now()) {
+  const key = moveKey(role, plantation, building);
+  const weight = entries
+    .filter(entry => entry.key === key)
+    .reduce((sum, entry) => sum + contextSimilarity(entry.context, context) * preferenceDecay(entry.at, now), 0);
+  return Math.min(PREFERENCE_BONUS_CAP, PREFERENCE_BONUS * weight);
+}
+
+// Returns a new list with the move added and long-faded entries dropped.
+function rememberPreference(entries, role, plantation, building, context, now = Date.now()) {
+  const entry = { key: moveKey(role, plantation, building), context, at: new Date(now).toISOString() };
+  return [...entries, entry]
+    .filter(e => preferenceDecay(e.at, now) >= PREFERENCE_MIN_WEIGHT)
+    .slice(-MAX_PREFERENCES);
+}
+
+// --- Strategy profiles (scoring weights) ---
+// Every hand-tuned number the scorers share lives in a profile, so players can try other
+// philosophies without touching this file. "Balanced" holds the original tuning; the
+// other built-ins only list what they change.
+
+const BALANCED_WEIGHTS = {
+  plantationValues: { Corn: 3.1, Sugar: 2.8, Indigo: 1.8, Tobacco: 2.4, Coffee: 2.3 },
+  synergy: {
+    startingCorn: 0.9,    // another tile of your starting crop, by crop
+    startingIndigo: 0.2,
+    startingOther: 0.6,
+    newType: 0.5          // a crop you don't have yet
+  },
+  quarry: {
+    base: 2.7,
+    earlyTurns: 0.5,      // picks 1–3
+    firstQuarry: 0.8,
+    secondQuarry: 0.3,
+    perExtraQuarry: 0.3   // taken off for each quarry beyond the second
+  },
+  otherRole: 0.3,         // roles without a scorer of their own
+  buildingValues: {
+    "Small Indigo Plant": 3.0,
+    "Small Sugar Mill": 3.2,
+    "Indigo Plant": 3.2,
+    "Sugar Mill": 3.6,
+    "Tobacco Storage": 4.2,
+    "Coffee Roaster": 4.6,
+    "Small Market": 2.5,
+    "Hacienda": 2.8,
+    "Construction Hut": 2.0,
+    "Small Warehouse": 2.0,
+    "Hospice": 2.6,
+    "Office": 2.6,
+    "Large Market": 3.2,
+    "Large Warehouse": 2.6,
+    "University": 3.0,
+    "Factory": 4.4,
+    "Harbor": 4.6,
+    "Wharf": 4.8,
+    "Guild Hall": 5.5,
+    "Residence": 5.2,
+    "Fortress": 5.2,
+    "Customs House": 5.0,
+    "City Hall": 5.0
+  }
+};
+
+const BUILT_IN_PROFILES = {
+  balanced: { name: "Balanced", weights: {} },
+  "corn-shipping": {
+    name: "Corn shipping",
+    weights: {
+      plantationValues: { Corn: 3.8, Sugar: 2.6, Indigo: 1.6, Tobacco: 2.2, Coffee: 2.0 },
+      synergy: { startingCorn: 1.3 },
+      quarry: { base: 2.3 },
+      buildingValues: {
+        "Small Market": 2.0,
+        "Office": 2.0,
+        "Large Market": 2.6,
+        "Small Warehouse": 2.8,
+        "Large Warehouse": 3.4,
+        "Factory": 3.8,
+        "Harbor": 5.4,
+        "Wharf": 5.6
+      }
+    }
+  },
+  "building-engine": {
+    name: "Building engine",
+    weights: {
+      plantationValues: { Corn: 2.7, Sugar: 2.9, Indigo: 2.2, Tobacco: 2.6, Coffee: 2.6 },
+      quarry: { base: 3.2, firstQuarry: 1.0, secondQuarry: 0.6, perExtraQuarry: 0.15 },
+      buildingValues: {
+        "Small Market": 2.8,
+        "Construction Hut": 2.6,
+        "Large Market": 3.5,
+        "University": 3.8,
+        "Factory": 5.0,
+        "Harbor": 4.0,
+        "Wharf": 4.2,
+        "Guild Hall": 6.0,
+        "Residence": 5.8,
+        "Fortress": 5.6,
+        "Customs House": 5.2,
+        "City Hall": 5.6
+      }
+    }
+  }
+};
+
+// Full weights: Balanced with the profile's changes on top (one level of nesting).
+function mergeWeights(overrides) {
+  const merged = JSON.parse(JSON.stringify(BALANCED_WEIGHTS));
+  Object.entries(overrides || {}).forEach(([group, value]) => {
+    if (!(group in merged)) return;
+    merged[group] = typeof merged[group] === "object"
+      ? { ...merged[group], ...value }
+      : value;
+  });
+  return merged;
+}
+
+let activeWeights = mergeWeights({});
+
+function useStrategyWeights(weights) {
+  activeWeights = mergeWeights(weights);
+}
+
+function buildingValue(building) {
+  return activeWeights.buildingValues[building.name] || 0;
+}
+
+// Profiles travel between players as small JSON files holding the full weights.
+const PROFILE_FILE_FORMAT = "puerto-rico-helper-profile";
+const PROFILE_FILE_VERSION = 1;
+
+const WEIGHT_GROUP_LABELS = {
+  plantationValues: "Plantation values",
+  synergy: "Settler synergy",
+  quarry: "Quarries",
+  otherRole: "Other roles",
+  buildingValues: "Building values"
+};
+
+function makeProfileFile(profile) {
+  return {
+    format: PROFILE_FILE_FORMAT,
+    version: PROFILE_FILE_VERSION,
+    name: profile.name,
+    weights: mergeWeights(profile.weights)
+  };
+}
+
+// Throws with a message fit for the player when the file can't be used.
+function parseProfileFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("That file is not valid JSON.");
+  }
+  if (!data || data.format !== PROFILE_FILE_FORMAT) {
+    throw new Error("That file is not a strategy profile from this helper.");
+  }
+  if (data.version > PROFILE_FILE_VERSION) {
+    throw new Error(`Profile version ${data.version} is newer than this helper (${PROFILE_FILE_VERSION}).`);
+  }
+
+  const weights = data.weights || {};
+  Object.entries(weights).forEach(([group, value]) => {
+    if (!(group in BALANCED_WEIGHTS)) {
+      throw new Error(`Unknown weight group "${group}".`);
+    }
+    const numbers = value !== null && typeof value === "object" ? Object.values(value) : [value];
+    if (!numbers.every(Number.isFinite)) {
+      throw new Error(`"${WEIGHT_GROUP_LABELS[group]}" must hold numbers only.`);
+    }
+  });
+  return { name: String(data.name || "Imported profile"), weights };
+}
+
+// --- Scoring constants & helpers ---
+// Scorers return { score, parts }: the score and the labelled numbers it adds up from,
+// so the page can show where a recommendation's score comes from.
+
+function scoreFromParts(parts) {
+  const shown = parts.filter(part => part.value !== 0);
+  return { score: shown.reduce((sum, part) => sum + part.value, 0), parts: shown };
+}
+
+function plantationSynergyBonus(plantation, playerBoard) {
+  let bonus = 0;
+
+  const weights = activeWeights.synergy;
+
+  if (plantation === playerBoard.startingPlantation) {
+    if (plantation === "Corn") {
+      bonus += weights.startingCorn;
+    } else if (plantation === "Indigo") {
+      bonus += weights.startingIndigo;
+    } else {
+      bonus += weights.startingOther;
+    }
+  }
+
+  const all = [playerBoard.startingPlantation, ...playerBoard.extraPlantations];
+  const uniqueTypes = new Set(all);
+
+  if (!uniqueTypes.has(plantation)) {
+    bonus += weights.newType;
+  }
+
+  return bonus;
+}
+
+function plantationDenyBonus(plantation, opponentBoard) {
+  let bonus = 0;
+  if (plantation === opponentBoard.startingPlantation) {
+    bonus += 0.4;
+  }
+  return bonus;
+}
+
+function scoreQuarryChoice(you, context) {
+  const weights = activeWeights.quarry;
+  const q = you.quarries || 0;
+  const parts = [
+    { label: "base value", value: weights.base },
+    { label: "early-turn bonus", value: context.turnNumber <= 3 ? weights.earlyTurns : 0 }
+  ];
+  if (q === 0) parts.push({ label: "first quarry", value: weights.firstQuarry });
+  else if (q === 1) parts.push({ label: "second quarry", value: weights.secondQuarry });
+  else parts.push({ label: "quarries you already have", value: -weights.perExtraQuarry * (q - 1) });
+  return scoreFromParts(parts);
+}
+
+function scorePlantationChoice(plantation, you, opponent, context) {
+  if (plantation === "Quarry") {
+    return scoreQuarryChoice(you, context);
+  }
+
+  return scoreFromParts([
+    { label: "base value", value: activeWeights.plantationValues[plantation] || 0 },
+    { label: "synergy", value: plantationSynergyBonus(plantation, you) },
+    { label: "deny bonus", value: plantationDenyBonus(plantation, opponent) },
+    { label: "early-turn bonus", value: context.turnNumber <= 2 ? 0.4 : 0 },
+    { label: "scarcity", value: context.roundState ? plantationScarcityBonus(plantation, context.roundState) : 0 }
+  ]);
+}
+
+function describePlantationReason(plantation, you, opponent, roundState, opponentName = "the opponent") {
+  const parts = [];
+  const twoPlayer = !roundState || !(roundState.playerCount > 2);
+
+  if (plantation === "Quarry") {
+    parts.push(twoPlayer
+      ? "Quarries reduce building costs, which is extremely valuable in 2-player where building tempo is critical."
+      : "Quarries reduce building costs, and building tempo decides a lot of games.");
+    const q = you.quarries || 0;
+    if (q === 0) {
+      parts.push("This is your first quarry, giving you a big long-term discount on buildings.");
+    } else {
+      parts.push("More quarries further reduce your effective building costs, though with diminishing returns.");
+    }
+  } else if (plantation === "Corn") {
+    parts.push(`Corn is extremely strong early because it produces without a building and gives fast shipping pressure${twoPlayer ? " in 2-player" : ""}.`);
+  } else if (plantation === "Indigo") {
+    parts.push("Indigo is weaker economically than corn; it mainly shines once you have the matching indigo production building.");
+  } else if (plantation === "Sugar") {
+    parts.push("Sugar is a higher-value good that scores well once the Sugar Mill is in place, making it an appealing early pick.");
+  } else {
+    parts.push(`${plantation} is a high-value export that pays off once the right production building is online.`);
+  }
+
+  if (plantation !== "Quarry") {
+    if (plantation === you.startingPlantation) {
+      parts.push("It matches your starting plantation, reinforcing that production line.");
+    } else {
+      parts.push("It diversifies your plantations, giving you more flexibility later.");
+    }
+
+    if (plantation === opponent.startingPlantation) {
+      parts.push(`It also denies ${opponentName} another copy of their main crop.`);
+    }
+
+    const left = roundState ? plantationTilesLeft(plantation, roundState) : null;
+    if (left !== null && left <= 4) {
+      parts.push(left === 0
+        ? `No more ${plantation} tiles are left to draw.`
+        : `Only ${left} more ${plantation} tile${left === 1 ? " is" : "s are"} left to draw.`);
+    }
+  }
+
+  return parts.join(" ");
+}
+
+// --- Plantation tiles: stack, discards and draw odds ---
+
+// Face-down tiles left: everything not on a board, face up or in the discard pile.
+function plantationStack(playerBoards, faceUpPlantations, discarded, playerCount = 2) {
+  const stack = { ...setupFor(playerCount).plantationTiles };
+  playerBoards.forEach(board => {
+    [board.startingPlantation, ...board.extraPlantations].forEach(type => {
+      if (type in stack) stack[type] -= 1;
+    });
+  });
+  faceUpPlantations.forEach(type => {
+    if (type in stack) stack[type] -= 1;
+  });
+  PLANTATION_TYPES.forEach(type => {
+    stack[type] = Math.max(0, stack[type] - (discarded[type] || 0));
+  });
+  return stack;
+}
+
+function countTiles(counts) {
+  return PLANTATION_TYPES.reduce((sum, type) => sum + (counts[type] || 0), 0);
+}
+
+function combinations(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) {
+    result = result * (n - i) / (i + 1);
+  }
+  return result;
+}
+
+// Chance that each type shows up at least once when `draws` tiles are drawn from the stack.
+function plantationDrawOdds(stack, draws) {
+  const total = countTiles(stack);
+  const n = Math.min(draws, total);
+  const odds = {};
+  PLANTATION_TYPES.forEach(type => {
+    const k = stack[type] || 0;
+    odds[type] = total === 0 ? 0 : 1 - combinations(total - k, n) / combinations(total, n);
+  });
+  return odds;
+}
+
+// A random refill of the face-up row, without replacement; "None" once the stack runs dry.
+function drawPlantationTiles(stack, count, random = Math.random) {
+  const remaining = { ...stack };
+  const tiles = [];
+  for (let i = 0; i < count; i++) {
+    const types = PLANTATION_TYPES.filter(type => remaining[type] > 0);
+    if (!types.length) {
+      tiles.push("None");
+      continue;
+    }
+    const type = pickWeighted(types, types.map(t => remaining[t]), random);
+    remaining[type] -= 1;
+    tiles.push(type);
+  }
+  return tiles;
+}
+
+// Tiles of this type still to come (stack plus discards that will be reshuffled).
+function plantationTilesLeft(plantation, roundState) {
+  const supply = roundState.plantationSupply;
+  if (!supply) return null;
+  return (supply.stack[plantation] || 0) + (supply.discarded[plantation] || 0);
+}
+
+function plantationScarcityBonus(plantation, roundState) {
+  const left = plantationTilesLeft(plantation, roundState);
+  if (left === null) return 0;
+
+  let bonus = 0;
+  if (left === 0) bonus = 0.8;
+  else if (left <= 2) bonus = 0.5;
+  else if (left <= 4) bonus = 0.2;
+
+  // Scarce high-value crops matter more than scarce indigo
+  return bonus * (activeWeights.plantationValues[plantation] || 0) / 2.5;
+}
+
+// --- Builder logic: score every building in the catalogue ---
+
+function hasBuilding(buildings, name) {
+  return buildings.includes(name);
+}
+
+function countPlantationType(playerBoard, type) {
+  return [playerBoard.startingPlantation, ...playerBoard.extraPlantations].filter(
+    p => p === type
+  ).length;
+}
+
+function scoreBuildingChoice(building, you, context) {
+  if (hasBuilding(you.buildings, building.name)) {
+    return scoreFromParts([{ label: "already built", value: -999 }]);
+  }
+
+  const parts = [{ label: "base value", value: buildingValue(building) }];
+  const add = (label, value) => parts.push({ label, value });
+
+  const uniquePlantTypes = new Set([
+    you.startingPlantation,
+    ...you.extraPlantations
+  ]);
+
+  if (building.type === "production" && building.crop) {
+    const n = countPlantationType(you, building.crop);
+    if (n > 0) {
+      add("synergy", 1.5 + 0.3 * (n - 1));
+    } else if (building.crop === you.startingPlantation) {
+      add("synergy", 1.0);
+    }
+
+    // Circles you already have for this crop make another building for it mostly redundant
+    const ownedCircles = you.buildings
+      .filter(name => productionCrop(name) === building.crop)
+      .reduce((sum, name) => sum + buildingCircles(name), 0);
+    if (ownedCircles > 0 && ownedCircles >= n) add("circles you already have", -1.5);
+  }
+
+  if (["Small Market", "Large Market", "Office"].includes(building.name)) {
+    if (uniquePlantTypes.size >= 2) add("synergy", 0.7);
+  }
+
+  if (building.name === "Hacienda") {
+    if (context.turnNumber <= 3) add("early-turn bonus", 0.8);
+  }
+
+  if (building.name === "Construction Hut" || building.name === "Hospice") {
+    if (context.turnNumber <= 3) add("early-turn bonus", 0.3);
+  }
+
+  if (building.name === "Small Warehouse" || building.name === "Large Warehouse") {
+    const kindsInStorage = GOOD_TYPES.filter(good => (you.goods[good] || 0) > 0).length;
+    add("synergy", 0.3 * Math.max(0, kindsInStorage - 1));
+  }
+
+  if (building.name === "Harbor" || building.name === "Wharf") {
+    const plantCount = you.extraPlantations.length + 1;
+    add("synergy", 0.2 * Math.max(0, plantCount - 2));
+  }
+
+  if (building.name === "Factory") {
+    add("synergy", 0.5 * Math.max(0, uniquePlantTypes.size - 1));
+  }
+
+  // Large buildings only pay off near the end; they are a poor use of early money
+  if (building.type === "large") {
+    add("too early for a large building", -0.3 * Math.max(0, 8 - (context.roundNumber || 1)));
+  }
+
+  // The price after the Builder privilege, with what manned quarries take off shown apart
+  const priced = Math.max(0, building.cost - 1);
+  add("cost penalty", -priced * 0.2);
+  add("quarry discount", (priced - buildCost(building, you, true)) * 0.2);
+
+  return scoreFromParts(parts);
+}
+
+// --- Build costs: Builder privilege, manned quarries and city space ---
+
+function mannedQuarries(playerBoard) {
+  return Math.min(playerBoard.colonists.quarries || 0, playerBoard.quarries || 0);
+}
+
+// The Builder pays 1 less; each manned quarry takes 1 more off, up to the building's column.
+function buildCost(building, playerBoard, isBuilder) {
+  const privilege = isBuilder ? 1 : 0;
+  const quarryDiscount = Math.min(mannedQuarries(playerBoard), building.column);
+  return Math.max(0, building.cost - privilege - quarryDiscount);
+}
+
+function citySpacesUsed(playerBoard) {
+  return playerBoard.buildings.reduce((sum, name) => {
+    const building = findBuilding(name);
+    return sum + (building ? building.size : 1);
+  }, 0);
+}
+
+function fitsInCity(building, playerBoard) {
+  return citySpacesUsed(playerBoard) + building.size <= CITY_SPACES;
+}
+
+function describeBuildCost(building, playerBoard, isBuilder) {
+  const cost = buildCost(building, playerBoard, isBuilder);
+  const discounts = [];
+  if (isBuilder) discounts.push("the Builder privilege");
+  const quarries = Math.min(mannedQuarries(playerBoard), building.column);
+  if (quarries > 0) discounts.push(`${quarries} manned quarr${quarries === 1 ? "y" : "ies"}`);
+  return discounts.length
+    ? `It costs you ${cost} (list price ${building.cost}, less ${discounts.join(" and ")}).`
+    : `It costs you the full ${cost}.`;
+}
+
+function describeBuildingReason(building, you) {
+  const parts = [];
+
+  if (building.type === "production") {
+    const n = countPlantationType(you, building.crop);
+    parts.push(n > 0
+      ? `${building.name} turns your ${building.crop.toLowerCase()} plantation${n === 1 ? "" : "s"} into goods (${building.circles} circle${building.circles === 1 ? "" : "s"}).`
+      : `${building.name} only pays off once you have ${building.crop.toLowerCase()} plantations to feed it.`);
+  } else if (building.type === "large") {
+    parts.push(`${building.name} is a large building: ${building.vp} VP plus an end-game bonus, but it takes two city spaces.`);
+  } else {
+    const phase = building.effect.charAt(0).toUpperCase() + building.effect.slice(1);
+    parts.push(`${building.name} strengthens your ${phase} phases once it is manned.`);
+  }
+
+  parts.push(describeBuildCost(building, you, true));
+  parts.push("Builder lets you convert your doubloons into long-term engine pieces, especially strong early when paired with core production or economy buildings.");
+  return parts.join(" ");
+}
+
+// Buildings whose every copy already stands in someone's city.
+function soldOutBuildings(playerBoards, playerCount = 2) {
+  const copies = setupFor(playerCount).buildingCopies;
+  return BUILDINGS
+    .filter(b => playerBoards.filter(board => board.buildings.includes(b.name)).length >= copies[b.group])
+    .map(b => b.name);
+}
+
+// Why the Builder can't buy this building right now, or null if it can.
+function builderRuleOut(building, you, context) {
+  const soldOut = (context.roundState && context.roundState.soldOutBuildings) || [];
+  const cost = buildCost(building, you, true);
+  if (hasBuilding(you.buildings, building.name)) return `You already have ${building.name}.`;
+  if (soldOut.includes(building.name)) return `Every ${building.name} has already been built.`;
+  if (!fitsInCity(building, you)) return `There's no room for ${building.name} in your city.`;
+  if (cost > you.doubloons) return `Can't afford ${building.name}: it costs ${cost} and you have ${you.doubloons}.`;
+  return null;
+}
+
+function getBuilderOptions(you, context) {
+  return BUILDINGS
+    .filter(b => !builderRuleOut(b, you, context))
+    .map(building => {
+      const { score, parts } = scoreBuildingChoice(building, you, context);
+      return { building, score, parts, cost: buildCost(building, you, true) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// --- Colonists: ship, supply, San Juan and placement ---
+
+const PRODUCTION_CROPS_BY_VALUE = ["Coffee", "Tobacco", "Sugar", "Indigo"];
+
+function buildingCircles(name) {
+  const building = findBuilding(name);
+  return building ? building.circles : 0;
+}
+
+function plantationCounts(playerBoard) {
+  const counts = {};
+  [playerBoard.startingPlantation, ...playerBoard.extraPlantations].forEach(p => {
+    counts[p] = (counts[p] || 0) + 1;
+  });
+  return counts;
+}
+
+function placedColonists(colonists) {
+  const onPlantations = Object.values(colonists.plantations).reduce((sum, n) => sum + n, 0);
+  const inBuildings = Object.values(colonists.buildings).reduce((sum, n) => sum + n, 0);
+  return onPlantations + colonists.quarries + inBuildings;
+}
+
+function totalColonists(playerBoard) {
+  return placedColonists(playerBoard.colonists) + (playerBoard.sanJuan || 0);
+}
+
+function mannedProductionCircles(playerBoard, colonists, crop) {
+  return playerBoard.buildings
+    .filter(name => productionCrop(name) === crop)
+    .reduce((sum, name) => sum + (colonists.buildings[name] || 0), 0);
+}
+
+function isBuildingManned(playerBoard, name) {
+  return hasBuilding(playerBoard.buildings, name) && (playerBoard.colonists.buildings[name] || 0) > 0;
+}
+
+function emptyBuildingCircles(playerBoard) {
+  return playerBoard.buildings.reduce((sum, name) => {
+    const manned = playerBoard.colonists.buildings[name] || 0;
+    return sum + Math.max(0, buildingCircles(name) - manned);
+  }, 0);
+}
+
+// Colonists that actually do something: manned corn, quarries and violet/large
+// buildings, plus production chains where a plantation and a building circle are both manned.
+function usefulColonistCount(playerBoard, colonists) {
+  let useful = (colonists.plantations.Corn || 0) + colonists.quarries;
+
+  playerBoard.buildings.forEach(name => {
+    if (!productionCrop(name)) {
+      useful += colonists.buildings[name] || 0;
+    }
+  });
+
+  PRODUCTION_CROPS_BY_VALUE.forEach(crop => {
+    const mannedPlantations = colonists.plantations[crop] || 0;
+    const mannedCircles = mannedProductionCircles(playerBoard, colonists, crop);
+    useful += 2 * Math.min(mannedPlantations, mannedCircles);
+  });
+
+  return useful;
+}
+
+// Greedy placement: production chains for the most valuable crops first, then
+// violet/large buildings, corn, quarries, and finally any leftover circles.
+function suggestColonistPlacement(playerBoard, colonistCount) {
+  const colonists = emptyColonists();
+  const counts = plantationCounts(playerBoard);
+  let left = colonistCount;
+
+  function fillBuilding(name, n) {
+    const free = buildingCircles(name) - (colonists.buildings[name] || 0);
+    const placed = Math.min(free, n, left);
+    if (placed > 0) {
+      colonists.buildings[name] = (colonists.buildings[name] || 0) + placed;
+      left -= placed;
+    }
+    return placed;
+  }
+
+  function fillPlantations(type, n) {
+    const free = (counts[type] || 0) - (colonists.plantations[type] || 0);
+    const placed = Math.min(free, n, left);
+    if (placed > 0) {
+      colonists.plantations[type] = (colonists.plantations[type] || 0) + placed;
+      left -= placed;
+    }
+    return placed;
+  }
+
+  PRODUCTION_CROPS_BY_VALUE.forEach(crop => {
+    const cropBuildings = playerBoard.buildings.filter(name => productionCrop(name) === crop);
+    cropBuildings.forEach(name => {
+      while (left >= 2 && (colonists.plantations[crop] || 0) < (counts[crop] || 0)) {
+        if (fillBuilding(name, 1) === 0) break;
+        fillPlantations(crop, 1);
+      }
+    });
+  });
+
+  playerBoard.buildings
+    .filter(name => !productionCrop(name))
+    .sort((a, b) => buildingCost(b) - buildingCost(a))
+    .forEach(name => fillBuilding(name, buildingCircles(name)));
+
+  fillPlantations("Corn", counts.Corn || 0);
+
+  const quarries = Math.min(playerBoard.quarries || 0, left);
+  colonists.quarries = quarries;
+  left -= quarries;
+
+  Object.keys(counts).forEach(type => fillPlantations(type, counts[type]));
+  playerBoard.buildings.forEach(name => fillBuilding(name, buildingCircles(name)));
+
+  return { colonists, sanJuan: left };
+}
+
+// Mayor privilege colonist first, then the ship is emptied one at a time in phase order.
+function distributeMayorColonists(playerCount, colonistShip, colonistSupply) {
+  const received = new Array(playerCount).fill(0);
+  if (colonistSupply > 0) received[0] += 1;
+  for (let i = 0; i < colonistShip; i++) {
+    received[i % playerCount] += 1;
+  }
+  return received;
+}
+
+// The ship refills with one colonist per empty building circle, but never fewer than the player count.
+function colonistShipRefill(playerBoards, colonistSupply) {
+  const emptyCircles = playerBoards.reduce((sum, board) => sum + emptyBuildingCircles(board), 0);
+  return Math.min(colonistSupply, Math.max(emptyCircles, playerBoards.length));
+}
+
+function simulateMayor(state, picker) {
+  const { colonistShip, colonistSupply } = state.roundState;
+  const order = phaseOrder(state, picker);
+  const received = distributeMayorColonists(order.length, colonistShip, colonistSupply);
+  const supplyAfterPrivilege = colonistSupply > 0 ? colonistSupply - 1 : 0;
+
+  const result = {};
+  order.forEach((who, i) => {
+    const board = state[who];
+    const total = totalColonists(board) + received[i];
+    const placement = suggestColonistPlacement(board, total);
+    result[who] = {
+      received: received[i],
+      colonists: placement.colonists,
+      sanJuan: placement.sanJuan,
+      usefulBefore: usefulColonistCount(board, board.colonists),
+      usefulAfter: usefulColonistCount(board, placement.colonists)
+    };
+  });
+
+  const boardsAfter = order.map(who => ({ ...state[who], colonists: result[who].colonists }));
+  result.shipRefill = colonistShipRefill(boardsAfter, supplyAfterPrivilege);
+  result.supplyAfter = supplyAfterPrivilege - result.shipRefill;
+  result.colonistsRanOut = result.shipRefill < colonistShipRefill(boardsAfter, Infinity);
+  return result;
+}
+
+function describeColonistPlacement(playerBoard, colonists, sanJuan) {
+  const parts = [];
+  Object.entries(colonists.plantations).forEach(([type, n]) => {
+    if (n > 0) parts.push(`${type} ×${n}`);
+  });
+  if (colonists.quarries > 0) parts.push(`Quarry ×${colonists.quarries}`);
+  playerBoard.buildings.forEach(name => {
+    const n = colonists.buildings[name] || 0;
+    if (n > 0) parts.push(`${name} ×${n}`);
+  });
+  const placed = parts.length ? parts.join(", ") : "nothing manned";
+  return sanJuan > 0 ? `${placed}; San Juan: ${sanJuan}` : placed;
+}
+
+// --- Goods: production, storage and the Craftsman phase ---
+
+// Rough worth of one barrel (a shipping VP or its sale price), used for scoring only.
+const GOOD_VALUES = {
+  Corn: 1.0,
+  Indigo: 1.4,
+  Sugar: 1.7,
+  Tobacco: 2.0,
+  Coffee: 2.4
+};
+
+// Corn needs only a manned plantation; other crops need a manned plantation
+// and a manned circle in a matching production building.
+function productionCapacity(playerBoard) {
+  const capacity = emptyGoods();
+  const colonists = playerBoard.colonists;
+
+  capacity.Corn = colonists.plantations.Corn || 0;
+  PRODUCTION_CROPS_BY_VALUE.forEach(crop => {
+    const mannedPlantations = colonists.plantations[crop] || 0;
+    capacity[crop] = Math.min(mannedPlantations, mannedProductionCircles(playerBoard, colonists, crop));
+  });
+
+  return capacity;
+}
+
+function goodsValue(goods) {
+  return GOOD_TYPES.reduce((sum, good) => sum + (goods[good] || 0) * GOOD_VALUES[good], 0);
+}
+
+function describeGoods(goods) {
+  const parts = GOOD_TYPES.filter(good => goods[good] > 0).map(good => `${good} ×${goods[good]}`);
+  return parts.length ? parts.join(", ") : "nothing";
+}
+
+// Production in phase order (supply shortages hit later players first), then
+// the Craftsman takes one extra good of the most valuable kind they produced.
+function simulateCraftsman(state, picker) {
+  const order = phaseOrder(state, picker);
+  const supply = { ...state.roundState.goodsSupply };
+
+  const result = {};
+  order.forEach(who => {
+    const capacity = productionCapacity(state[who]);
+    const produced = emptyGoods();
+    GOOD_TYPES.forEach(good => {
+      const n = Math.min(capacity[good], supply[good]);
+      produced[good] = n;
+      supply[good] -= n;
+    });
+    result[who] = { produced, privilege: null };
+  });
+
+  const craftsman = result[picker];
+  const privilege = [...GOOD_TYPES].reverse().find(
+    good => craftsman.produced[good] > 0 && supply[good] > 0
+  );
+  if (privilege) {
+    craftsman.produced[privilege] += 1;
+    craftsman.privilege = privilege;
+    supply[privilege] -= 1;
+  }
+
+  result.supplyAfter = supply;
+  return result;
+}
+
+// --- Trading house and the Trader phase ---
+
+// A good can go into the trading house while a slot is free and the same kind
+// isn't there yet (a manned Office ignores the duplicates rule).
+function canSellGood(good, playerBoard, tradingHouse) {
+  if ((playerBoard.goods[good] || 0) === 0) return false;
+  if (tradingHouse.length >= TRADING_HOUSE_SLOTS) return false;
+  if (tradingHouse.includes(good) && !isBuildingManned(playerBoard, "Office")) return false;
+  return true;
+}
+
+function salePrice(good, playerBoard, isTrader) {
+  let price = GOOD_PRICES[good];
+  if (isTrader) price += 1;
+  if (isBuildingManned(playerBoard, "Small Market")) price += 1;
+  if (isBuildingManned(playerBoard, "Large Market")) price += 2;
+  return price;
+}
+
+// Every good this player could sell right now, best price first.
+function saleOptions(playerBoard, tradingHouse, isTrader) {
+  return GOOD_TYPES
+    .filter(good => canSellGood(good, playerBoard, tradingHouse))
+    .map(good => ({ good, price: salePrice(good, playerBoard, isTrader) }))
+    .sort((a, b) => b.price - a.price);
+}
+
+// Each player in phase order sells their best-paying legal good (nobody sells
+// for 0); a full trading house is emptied back into the supply afterwards.
+function simulateTrader(state, picker) {
+  const order = phaseOrder(state, picker);
+  const house = [...state.roundState.tradingHouse];
+
+  const result = {};
+  order.forEach(who => {
+    const options = saleOptions(state[who], house, who === picker);
+    const best = options.length && options[0].price > 0 ? options[0] : null;
+    if (best) house.push(best.good);
+    result[who] = {
+      options,
+      sale: best ? best.good : null,
+      income: best ? best.price : 0
+    };
+  });
+
+  result.cleared = house.length >= TRADING_HOUSE_SLOTS;
+  result.houseAfter = result.cleared ? [] : house;
+  result.returnedGoods = result.cleared ? house : [];
+  return result;
+}
+
+function describeSale(saleResult) {
+  if (!saleResult.sale) {
+    return saleResult.options.length
+      ? "nothing worth selling"
+      : "nothing they can legally sell";
+  }
+  return `${saleResult.sale} for ${saleResult.income} doubloon${saleResult.income === 1 ? "" : "s"}`;
+}
+
+// --- Cargo ships and the Captain phase ---
+
+// Where this player could load each kind of good. A ship holds one kind only and a
+// kind can't be on two ships; a manned Wharf ships any one kind once per phase.
+function loadOptions(playerBoard, goods, ships, wharfAvailable) {
+  const options = [];
+
+  GOOD_TYPES.forEach(good => {
+    const have = goods[good] || 0;
+    if (have === 0) return;
+
+    const carrying = ships.findIndex(ship => ship.good === good);
+    const candidates = carrying >= 0
+      ? [carrying]
+      : ships.map((ship, i) => (ship.good === null ? i : -1)).filter(i => i >= 0);
+
+    candidates.forEach(i => {
+      const free = ships[i].capacity - ships[i].count;
+      if (free > 0) options.push({ good, ship: i, count: Math.min(have, free) });
+    });
+
+    if (wharfAvailable) {
+      options.push({ good, ship: "wharf", count: have });
+    }
+  });
+
+  return options;
+}
+
+// Forced loading: take whichever load moves the most barrels (ties keep the more valuable good at home).
+function chooseLoad(options) {
+  return options.slice().sort((a, b) =>
+    b.count - a.count ||
+    GOOD_VALUES[a.good] - GOOD_VALUES[b.good] ||
+    (a.ship === "wharf") - (b.ship === "wharf")
+  )[0] || null;
+}
+
+// What survives the end of the Captain phase: one barrel, plus every barrel of one kind
+// per manned Small Warehouse and two kinds per manned Large Warehouse.
+function storeGoods(playerBoard, goods) {
+  const kept = emptyGoods();
+  const spoiled = { ...goods };
+
+  let warehouseKinds = 0;
+  if (isBuildingManned(playerBoard, "Small Warehouse")) warehouseKinds += 1;
+  if (isBuildingManned(playerBoard, "Large Warehouse")) warehouseKinds += 2;
+
+  const byWorth = GOOD_TYPES
+    .filter(good => spoiled[good] > 0)
+    .sort((a, b) => spoiled[b] * GOOD_VALUES[b] - spoiled[a] * GOOD_VALUES[a]);
+  byWorth.slice(0, warehouseKinds).forEach(good => {
+    kept[good] = spoiled[good];
+    spoiled[good] = 0;
+  });
+
+  const single = [...GOOD_TYPES].reverse().find(good => spoiled[good] > 0);
+  if (single) {
+    kept[single] += 1;
+    spoiled[single] -= 1;
+  }
+
+  return { kept, spoiled };
+}
+
+// Players load in turn until nobody can; the Captain gets +1 VP on their first load and
+// a manned Harbor +1 VP per load. Full ships are unloaded and leftover goods spoil.
+function simulateCaptain(state, picker) {
+  const order = phaseOrder(state, picker);
+  const ships = state.roundState.cargoShips.map(ship => ({ ...ship }));
+  const supply = { ...state.roundState.goodsSupply };
+
+  const players = {};
+  order.forEach(who => {
+    players[who] = {
+      goods: { ...state[who].goods },
+      loads: [],
+      vp: 0,
+      wharfAvailable: isBuildingManned(state[who], "Wharf")
+    };
+  });
+
+  let loadedThisPass = true;
+  while (loadedThisPass) {
+    loadedThisPass = false;
+    order.forEach(who => {
+      const p = players[who];
+      const load = chooseLoad(loadOptions(state[who], p.goods, ships, p.wharfAvailable));
+      if (!load) return;
+
+      let vp = load.count;
+      if (who === picker && p.loads.length === 0) vp += 1;
+      if (isBuildingManned(state[who], "Harbor")) vp += 1;
+
+      p.goods[load.good] -= load.count;
+      if (load.ship === "wharf") {
+        p.wharfAvailable = false;
+        supply[load.good] += load.count;
+      } else {
+        ships[load.ship].good = load.good;
+        ships[load.ship].count += load.count;
+      }
+      p.loads.push({ ...load, vp });
+      p.vp += vp;
+      loadedThisPass = true;
+    });
+  }
+
+  const shipsAfter = ships.map(ship => {
+    if (ship.count < ship.capacity) return ship;
+    supply[ship.good] += ship.count;
+    return { capacity: ship.capacity, good: null, count: 0 };
+  });
+
+  const result = {};
+  order.forEach(who => {
+    const stored = storeGoods(state[who], players[who].goods);
+    GOOD_TYPES.forEach(good => {
+      supply[good] += stored.spoiled[good];
+    });
+    result[who] = {
+      loads: players[who].loads,
+      vp: players[who].vp,
+      kept: stored.kept,
+      spoiled: stored.spoiled
+    };
+  });
+
+  result.shipsAfter = shipsAfter;
+  result.supplyAfter = supply;
+  result.vpSupplyAfter = order.reduce((supply, who) => supply - result[who].vp, state.roundState.vpSupply);
+  return result;
+}
+
+function describeShipName(ships, ship) {
+  return ship === "wharf" ? "the Wharf" : `the ${ships[ship].capacity}-ship`;
+}
+
+function describeLoads(loads, ships) {
+  if (!loads.length) return "nothing";
+  return loads.map(load => `${load.good} ×${load.count} on ${describeShipName(ships, load.ship)}`).join(", ");
+}
+
+function describeCargoShips(ships) {
+  return ships.map(ship => ship.good
+    ? `${ship.capacity}-ship: ${ship.good} ${ship.count}/${ship.capacity}`
+    : `${ship.capacity}-ship: empty`
+  ).join("; ");
+}
+
+// --- Victory points and game end ---
+// Shipping chips, printed building VP and the bonuses of manned large buildings. The
+// game ends after the round in which the VP chips run out, the colonist ship can't be
+// refilled, or a city fills its 12th space.
+
+const GAME_END_REASONS = {
+  vp: "the VP chips ran out",
+  colonists: "the colonist ship couldn't be refilled",
+  city: "a city filled all 12 spaces"
+};
+
+function triggerGameEnd(session, reason) {
+  if (!session.endTriggers.includes(reason)) {
+    session.endTriggers.push(reason);
+  }
+}
+
+function largeBuildingBonus(name, playerBoard) {
+  const buildings = playerBoard.buildings.map(findBuilding).filter(Boolean);
+  if (name === "Guild Hall") {
+    return buildings.reduce((sum, b) =>
+      sum + (b.group === "small-production" ? 1 : b.group === "large-production" ? 2 : 0), 0);
+  }
+  if (name === "Residence") {
+    const island = 1 + playerBoard.extraPlantations.length + playerBoard.quarries;
+    return Math.max(4, Math.min(12, island) - 5);
+  }
+  if (name === "Fortress") {
+    return Math.floor(totalColonists(playerBoard) / 3);
+  }
+  if (name === "Customs House") {
+    return Math.floor(playerBoard.vp / 4);
+  }
+  if (name === "City Hall") {
+    return buildings.filter(b => b.type === "violet" || b.type === "large").length;
+  }
+  return 0;
+}
+
+function scoreBreakdown(playerBoard) {
+  const shipping = playerBoard.vp;
+  const buildings = playerBoard.buildings.reduce((sum, name) => {
+    const building = findBuilding(name);
+    return sum + (building ? building.vp : 0);
+  }, 0);
+  const bonuses = playerBoard.buildings
+    .filter(name => findBuilding(name) && findBuilding(name).type === "large" && isBuildingManned(playerBoard, name))
+    .map(name => ({ name, vp: largeBuildingBonus(name, playerBoard) }));
+  const total = shipping + buildings + bonuses.reduce((sum, bonus) => sum + bonus.vp, 0);
+  return { shipping, buildings, bonuses, total };
+}
+
+function describeGameEnd(reasons) {
+  return reasons.map(reason => GAME_END_REASONS[reason]).join(" and ");
+}
+
+// --- Non-Settler role heuristics ---
+
+function scoreProspector(you, context) {
+  return scoreFromParts([
+    { label: "base value", value: 2.0 },
+    { label: "low on money", value: you.doubloons <= 2 ? 0.7 : 0 },
+    { label: "early in the round", value: context.turnNumber <= 2 ? -0.2 : 0 }
+  ]);
+}
+
+function explainProspector(you, context) {
+  const bits = [];
+  bits.push("Prospector gives you an extra doubloon, improving early buying power for key buildings.");
+  if (you.doubloons <= 2) {
+    bits.push("Because your money is low, the extra coin is especially attractive.");
+  }
+  if (context.turnNumber >= 3) {
+    bits.push("Later in the round, some strong plantations may already be gone, making money comparatively better.");
+  }
+  return bits.join(" ");
+}
+
+// With more players the phase heuristics weigh you against whichever opponent does best
+// out of the phase; with one opponent that is simply them.
+
+function rivalName(state, who) {
+  return rivalsOf(state).length > 1 ? seatLabel(who, state.players.length) : "the opponent";
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function biggestRival(state, gain) {
+  return rivalsOf(state).reduce((best, who) => (gain(who) > gain(best) ? who : best));
+}
+
+// "the opponent 2", or "Opponent 1 2, Opponent 2 0" with more players.
+function listRivals(state, describe) {
+  return rivalsOf(state).map(who => `${rivalName(state, who)} ${describe(who)}`).join(", ");
+}
+
+function scoreMayor(state, context) {
+  const sim = simulateMayor(state, "you");
+  const gain = who => sim[who].usefulAfter - sim[who].usefulBefore;
+  const rival = biggestRival(state, gain);
+
+  return scoreFromParts([
+    { label: "base value", value: 0.6 },
+    { label: "your useful circles", value: 0.5 * gain("you") },
+    { label: `${rivalName(state, rival)}'s useful circles`, value: -0.25 * gain(rival) },
+    { label: "colonists you receive", value: 0.1 * sim.you.received }
+  ]);
+}
+
+function explainMayor(state, context) {
+  const { you } = state;
+  const sim = simulateMayor(state, "you");
+  const gain = who => sim[who].usefulAfter - sim[who].usefulBefore;
+  const rival = biggestRival(state, gain);
+  const yourGain = gain("you");
+  const oppGain = gain(rival);
+  const bits = [];
+
+  bits.push(`Mayor brings you ${sim.you.received} colonist${sim.you.received === 1 ? "" : "s"} (including the privilege colonist) and ${listRivals(state, who => sim[who].received)}.`);
+  if (yourGain > 0) {
+    bits.push(`That fills ${yourGain} more useful circle${yourGain === 1 ? "" : "s"} for you.`);
+  } else {
+    bits.push("None of them would fill a circle that actually produces or activates anything for you yet.");
+  }
+  if (oppGain > 0) {
+    bits.push(`${capitalize(rivalName(state, rival))} gains ${oppGain} useful circle${oppGain === 1 ? "" : "s"} too.`);
+  }
+  bits.push(`Suggested placement: ${describeColonistPlacement(you, sim.you.colonists, sim.you.sanJuan)}.`);
+  bits.push(`The ship then refills with ${sim.shipRefill} (supply left: ${sim.supplyAfter}).`);
+  return bits.join(" ");
+}
+
+function craftsmanOutlook(state) {
+  const sim = simulateCraftsman(state, "you");
+  const rival = biggestRival(state, who => goodsValue(sim[who].produced));
+  const swing = goodsValue(sim.you.produced) - goodsValue(sim[rival].produced);
+  return { sim, rival, swing };
+}
+
+function scoreCraftsman(state, context) {
+  return scoreFromParts([
+    { label: "base value", value: 0.3 },
+    { label: "production swing", value: 0.7 * craftsmanOutlook(state).swing }
+  ]);
+}
+
+function explainCraftsman(state, context) {
+  const { sim, rival, swing } = craftsmanOutlook(state);
+  const bits = [];
+
+  bits.push(`Craftsman: you produce ${describeGoods(sim.you.produced)}` +
+    (sim.you.privilege ? ` (including 1 ${sim.you.privilege} as the privilege)` : "") + ".");
+  bits.push(`${capitalize(listRivals(state, who => `produces ${describeGoods(sim[who].produced)}`))}.`);
+  if (swing > 0) {
+    bits.push(`That's a swing of about +${swing.toFixed(1)} in your favour.`);
+  } else if (swing < 0) {
+    bits.push(`${capitalize(rivalName(state, rival))} gains more from it (about ${swing.toFixed(1)}), so it mostly helps them.`);
+  } else {
+    bits.push("Neither side comes out ahead on production.");
+  }
+  return bits.join(" ");
+}
+
+// Compares your Trader phase with the one each opponent would get if they took Trader
+// instead; the rival is whoever your pick costs the most.
+function traderOutlook(state) {
+  const sim = simulateTrader(state, "you");
+  const denial = who => Math.max(0, simulateTrader(state, who)[who].income - sim[who].income);
+  const rival = biggestRival(state, who => denial(who) * 100 + sim[who].income);
+  const ifTheyTrade = simulateTrader(state, rival);
+  return { sim, rival, ifTheyTrade, denied: denial(rival) };
+}
+
+function scoreTrader(state, context) {
+  const { sim, rival, denied } = traderOutlook(state);
+  return scoreFromParts([
+    { label: "base value", value: 0.3 },
+    { label: "your sale", value: 0.6 * sim.you.income },
+    { label: "deny bonus", value: 0.35 * denied },
+    { label: `${rivalName(state, rival)}'s sale`, value: -0.2 * sim[rival].income }
+  ]);
+}
+
+function explainTrader(state, context) {
+  const { sim, rival, ifTheyTrade, denied } = traderOutlook(state);
+  const theirs = rivalsOf(state).length > 1 ? `${rivalName(state, rival)}'s` : "their";
+  const bits = [];
+
+  const yourOptions = sim.you.options.map(o => `${o.good} (${o.price})`);
+  bits.push(yourOptions.length
+    ? `You could sell ${yourOptions.join(", ")}; best is ${describeSale(sim.you)}, including the +1 Trader privilege.`
+    : "You have nothing you can sell into the trading house right now.");
+  bits.push(`${capitalize(listRivals(state, who => `would then sell ${describeSale(sim[who])}`))}.`);
+
+  if (denied > 0) {
+    bits.push(`Taking Trader blocks ${theirs} sale: as Trader they'd make ${ifTheyTrade[rival].income}, in your phase only ${sim[rival].income}.`);
+  } else if (ifTheyTrade[rival].income > 0) {
+    bits.push(`It doesn't block ${theirs} sale; they'd make the same either way.`);
+  }
+  if (sim.cleared) {
+    bits.push("The trading house fills up and is emptied afterwards.");
+  }
+  return bits.join(" ");
+}
+
+function scoreCaptain(state, context) {
+  const sim = simulateCaptain(state, "you");
+  const rival = biggestRival(state, who => sim[who].vp);
+  const vpSwing = sim.you.vp - sim[rival].vp;
+  const spoilSwing = goodsValue(sim[rival].spoiled) - goodsValue(sim.you.spoiled);
+  return scoreFromParts([
+    { label: "base value", value: 0.2 },
+    { label: "shipping VP swing", value: 0.8 * vpSwing },
+    { label: "spoilage swing", value: 0.3 * spoilSwing }
+  ]);
+}
+
+function explainCaptain(state, context) {
+  const sim = simulateCaptain(state, "you");
+  const ships = state.roundState.cargoShips;
+  const bits = [];
+
+  bits.push(`Captain: you ship ${describeLoads(sim.you.loads, ships)} for ${sim.you.vp} VP` +
+    (sim.you.loads.length ? " (including the +1 Captain privilege)." : "."));
+  bits.push(`${capitalize(listRivals(state, who => `ships ${describeLoads(sim[who].loads, ships)} for ${sim[who].vp} VP`))}.`);
+
+  const anySpoil = phaseOrder(state, "you").some(who => describeGoods(sim[who].spoiled) !== "nothing");
+  if (anySpoil) {
+    bits.push(`Spoilage at the end: you lose ${describeGoods(sim.you.spoiled)}, ` +
+      `${listRivals(state, who => `loses ${describeGoods(sim[who].spoiled)}`)}.`);
+  } else {
+    bits.push("Nobody loses goods to spoilage.");
+  }
+  return bits.join(" ");
+}
+
+function scoreOtherRole(role, you, context) {
+  return scoreFromParts([{ label: "base value", value: activeWeights.otherRole }]);
+}
+
+function explainOtherRole(role, you, context) {
+  return "This role is usually lower priority in the opening compared to Settler, Builder, and sometimes Prospector.";
+}
+
+// --- Core recommendMoves logic ---
+
+function roleCoinsOn(roundState, role) {
+  return (roundState.roleCoins && roundState.roleCoins[role]) || 0;
+}
+
+function recommendMoves(state) {
+  const { you, roundState, turnNumber, roundNumber } = state;
+  const context = { turnNumber, roundNumber, roundState };
+  // Your learned preferences, unless the caller scores for someone else
+  const preferences = state.preferences || learnedPreferences;
+
+  const recommendations = [];
+
+  // Settler: plantations + quarry if available; a tile is denied to whichever opponent wants it most
+  if (roundState.availableRoles.includes("Settler") && !islandFull(you)) {
+    const tiles = roundState.faceUpPlantations.filter(plantation => plantation !== "None");
+    if (roundState.quarriesRemaining > 0) tiles.push("Quarry");
+    for (const plantation of tiles) {
+      const rival = biggestRival(state, who => plantationDenyBonus(plantation, state[who]));
+      const { score, parts } = scorePlantationChoice(plantation, you, state[rival], context);
+
+      const title = `Take Settler → choose ${plantation}`;
+      const explanation = describePlantationReason(plantation, you, state[rival], roundState, rivalName(state, rival));
+      recommendations.push({ score, parts, title, explanation, role: "Settler", plantation });
+    }
+  }
+
+  // Prospector – with two in play, only the one carrying more doubloons is worth taking
+  const prospector = roundState.availableRoles
+    .filter(role => roleKind(role) === "Prospector")
+    .sort((a, b) => roleCoinsOn(roundState, b) - roleCoinsOn(roundState, a))[0];
+  if (prospector) {
+    const { score, parts } = scoreProspector(you, context);
+
+    const title = "Take Prospector";
+    const explanation = explainProspector(you, context);
+    recommendations.push({ score, parts, title, explanation, role: prospector });
+  }
+
+  // Builder – with specific building options; coins on the role are collected before building
+  if (roundState.availableRoles.includes("Builder")) {
+    const builderCoins = roleCoinsOn(roundState, "Builder");
+    const builderOptions = getBuilderOptions({ ...you, doubloons: you.doubloons + builderCoins }, context);
+    if (builderOptions.length === 0) {
+      const { score, parts } = scoreFromParts([{ label: "base value", value: 0.4 }]);
+
+      const title = "Take Builder (limited options)";
+      const explanation = "You don't currently have strong building options you can afford, so Builder is relatively weak compared to other roles.";
+      recommendations.push({ score, parts, title, explanation, role: "Builder" });
+    } else {
+      builderOptions.forEach(opt => {
+        const { building, score, parts } = opt;
+
+        const title = `Take Builder → buy ${building.name}`;
+        const explanation = describeBuildingReason(building, you);
+        recommendations.push({
+          score,
+          parts,
+          title,
+          explanation,
+          role: "Builder",
+          building: building.name
+        });
+      });
+    }
+  }
+
+  // Mayor – simulated colonist distribution and placement
+  if (roundState.availableRoles.includes("Mayor")) {
+    const { score, parts } = scoreMayor(state, context);
+
+    const title = "Take Mayor";
+    const explanation = explainMayor(state, context);
+    recommendations.push({ score, parts, title, explanation, role: "Mayor" });
+  }
+
+  // Craftsman – simulated production for both players
+  if (roundState.availableRoles.includes("Craftsman")) {
+    const { score, parts } = scoreCraftsman(state, context);
+
+    const title = "Take Craftsman";
+    const explanation = explainCraftsman(state, context);
+    recommendations.push({ score, parts, title, explanation, role: "Craftsman" });
+  }
+
+  // Trader – what each side sells and whether taking it blocks the opponent
+  if (roundState.availableRoles.includes("Trader")) {
+    const { score, parts } = scoreTrader(state, context);
+
+    const title = "Take Trader";
+    const explanation = explainTrader(state, context);
+    recommendations.push({ score, parts, title, explanation, role: "Trader" });
+  }
+
+  // Captain – expected VP and spoilage for both sides
+  if (roundState.availableRoles.includes("Captain")) {
+    const { score, parts } = scoreCaptain(state, context);
+
+    const title = "Take Captain";
+    const explanation = explainCaptain(state, context);
+    recommendations.push({ score, parts, title, explanation, role: "Captain" });
+  }
+
+  // Other roles
+  for (const role of roundState.availableRoles) {
+    if (["Settler", "Prospector", "Builder", "Mayor", "Craftsman", "Trader", "Captain"].includes(roleKind(role))) continue;
+    const { score, parts } = scoreOtherRole(role, you, context);
+
+    const title = `Take ${role}`;
+    const explanation = explainOtherRole(role, you, context);
+    recommendations.push({ score, parts, title, explanation, role });
+  }
+
+  const spot = preferenceContext(state);
+  recommendations.forEach(rec => {
+    rec.preference = preferenceBonus(rec.role, rec.plantation, rec.building, spot, preferences);
+    rec.score += rec.preference;
+    if (rec.preference !== 0) rec.parts.push({ label: "learned preference", value: rec.preference });
+  });
+
+  // Doubloons left on a role from earlier rounds go to whoever takes it
+  recommendations.forEach(rec => {
+    const coins = roleCoinsOn(roundState, rec.role);
+    if (coins > 0) {
+      rec.score += 0.6 * coins;
+      rec.parts.push({ label: "doubloons on the role", value: 0.6 * coins });
+      rec.explanation += ` You also collect the ${coins} doubloon${coins === 1 ? "" : "s"} sitting on ${rec.role}.`;
+    }
+  });
+
+  recommendations.sort((a, b) => b.score - a.score);
+  return recommendations;
+}
+
+// Moves recommendMoves leaves out, each with a reason that reads on its own, for the
+// full list of options.
+function ruledOutMoves(state) {
+  const { you, roundState, turnNumber, roundNumber } = state;
+  const context = { turnNumber, roundNumber, roundState };
+  const available = roundState.availableRoles;
+  const ruledOut = [];
+
+  setupFor(state.playerCount).roles.filter(role => !available.includes(role)).forEach(role => {
+    ruledOut.push({ title: `Take ${role}`, role, reason: `${role} has already been taken this round.` });
+  });
+
+  if (available.includes("Settler")) {
+    if (islandFull(you)) {
+      ruledOut.push({ title: "Take Settler → choose a plantation", role: "Settler", reason: "Your island is full, so the Settler can't add a plantation." });
+    } else if (roundState.quarriesRemaining <= 0) {
+      ruledOut.push({ title: "Take Settler → choose Quarry", role: "Settler", plantation: "Quarry", reason: "No quarries are left for the Settler." });
+    }
+  }
+
+  if (available.includes("Builder")) {
+    const buyer = { ...you, doubloons: you.doubloons + roleCoinsOn(roundState, "Builder") };
+    BUILDINGS.forEach(building => {
+      const reason = builderRuleOut(building, buyer, context);
+      if (reason) {
+        ruledOut.push({ title: `Take Builder → buy ${building.name}`, role: "Builder", building: building.name, reason });
+      }
+    });
+  }
+
+  const prospectors = available.filter(role => roleKind(role) === "Prospector");
+  if (prospectors.length > 1) {
+    const [, other] = prospectors.sort((a, b) => roleCoinsOn(roundState, b) - roleCoinsOn(roundState, a));
+    ruledOut.push({ title: `Take ${other}`, role: other, reason: `${other} pays no more than the other Prospector, so only that one is ranked.` });
+  }
+  return ruledOut;
+}
+
+// --- Game snapshots and state transitions ---
+// A snapshot is plain data: the table inputs plus a copy of sessionState. Moves and edits
+// turn one snapshot into the next without touching the DOM, so a game can be rebuilt by
+// replaying its action log (see "Action log" below).
+
+// Doubloons of you and the first opponent have their own inputs; any further
+// opponents' live in inputs.otherDoubloons by seat.
+const DOUBLOON_FIELDS = { you: "yourDoubloons", opponent: "oppDoubloons" };
+
+function doubloonsOf(inputs, who) {
+  if (DOUBLOON_FIELDS[who]) return inputs[DOUBLOON_FIELDS[who]];
+  return (inputs.otherDoubloons || {})[who] || 0;
+}
+
+function setDoubloons(inputs, who, value) {
+  if (DOUBLOON_FIELDS[who]) {
+    inputs[DOUBLOON_FIELDS[who]] = value;
+  } else {
+    inputs.otherDoubloons = { ...inputs.otherDoubloons, [who]: value };
+  }
+}
+
+function playerCountOf(snapshot) {
+  return snapshot.session.playerCount || 2;
+}
+
+// Seats clockwise from `first`, the order every phase is played in.
+function seatsFrom(first, playerCount) {
+  const seats = seatsFor(playerCount);
+  const start = Math.max(0, seats.indexOf(first));
+  return seats.map((_, i) => seats[(start + i) % seats.length]);
+}
+
+// Who takes each pick of a round: turn by turn round the table from the Governor
+// (twice round with two players).
+function pickOrder(governor, playerCount = 2) {
+  const order = seatsFrom(governor, playerCount);
+  const picks = setupFor(playerCount).picksPerRound;
+  return Array.from({ length: picks }, (_, i) => order[i % order.length]);
+}
+
+function yourPickNumbers(governor, playerCount = 2) {
+  return pickOrder(governor, playerCount)
+    .map((who, i) => (who === "you" ? i + 1 : null))
+    .filter(Boolean);
+}
+
+function cloneSnapshot(snapshot) {
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+// A player's board inside a snapshot ("you" live at the top level, as in sessionState).
+function snapshotBoard(snapshot, who) {
+  if (who === "you") return snapshot.session;
+  if (who === "opponent") return snapshot.session.opponent;
+  return snapshot.session.otherOpponents[who];
+}
+
+// Fresh game: starting crops and doubloons go round the table from the Governor.
+function createSetupSnapshot(governor, faceUpPlantations, playerCount = 2) {
+  const setup = setupFor(playerCount);
+  const session = createSessionState(playerCount);
+  const inputs = {
+    governor,
+    yourDoubloons: 0,
+    oppDoubloons: 0,
+    otherDoubloons: {},
+    turnNumber: yourPickNumbers(governor, playerCount)[0],
+    faceUpPlantations: [...faceUpPlantations],
+    quarriesRemaining: setup.quarries,
+    availableRoles: [...setup.roles]
+  };
+
+  seatsFrom(governor, playerCount).forEach((who, i) => {
+    session.startingPlantations[who] = setup.startingCrops[i];
+    setDoubloons(inputs, who, setup.startingDoubloons[i]);
+  });
+  return { inputs, session };
+}
+
+// The { you, opponent, roundState } shape the scorers and simulations work on. With
+// more players the other opponents sit alongside under their seat ids, and `players`
+// lists every seat clockwise from you.
+function stateFromSnapshot(snapshot) {
+  const { inputs, session } = snapshot;
+  const playerCount = playerCountOf(snapshot);
+  const players = seatsFor(playerCount);
+
+  const boardFor = who => {
+    const board = snapshotBoard(snapshot, who);
+    return {
+      startingPlantation: session.startingPlantations[who],
+      extraPlantations: board.extraPlantations,
+      quarries: board.quarries,
+      buildings: board.buildings,
+      colonists: board.colonists,
+      sanJuan: board.sanJuan,
+      goods: board.goods,
+      vp: board.vp,
+      doubloons: doubloonsOf(inputs, who)
+    };
+  };
+  const boards = Object.fromEntries(players.map(who => [who, boardFor(who)]));
+
+  const plantationSupply = {
+    stack: plantationStack(Object.values(boards), inputs.faceUpPlantations, session.discardedPlantations, playerCount),
+    discarded: session.discardedPlantations
+  };
+
+  const roundState = {
+    playerCount,
+    availableRoles: inputs.availableRoles,
+    takenRoles: [],
+    faceUpPlantations: inputs.faceUpPlantations,
+    quarriesRemaining: inputs.quarriesRemaining,
+    plantationSupply,
+    soldOutBuildings: soldOutBuildings(Object.values(boards), playerCount),
+    roleCoins: session.roleCoins,
+    colonistShip: session.colonistShip,
+    colonistSupply: session.colonistSupply,
+    goodsSupply: session.goodsSupply,
+    tradingHouse: session.tradingHouse,
+    cargoShips: session.cargoShips,
+    vpSupply: session.vpSupply
+  };
+
+  return {
+    ...boards,
+    players,
+    playerCount,
+    roundState,
+    turnNumber: inputs.turnNumber,
+    roundNumber: session.roundNumber,
+    governor: inputs.governor,
+    isGovernor: inputs.governor === "you"
+  };
+}
+
+// Runs a whole Mayor phase: distribution, suggested placement for every player and ship refill.
+function applyMayorPhase(snapshot, picker) {
+  const result = simulateMayor(stateFromSnapshot(snapshot), picker);
+
+  seatsFor(playerCountOf(snapshot)).forEach(who => {
+    const board = snapshotBoard(snapshot, who);
+    board.colonists = result[who].colonists;
+    board.sanJuan = result[who].sanJuan;
+  });
+  snapshot.session.colonistSupply = result.supplyAfter;
+  snapshot.session.colonistShip = result.shipRefill;
+  if (result.colonistsRanOut) triggerGameEnd(snapshot.session, "colonists");
+  return result;
+}
+
+function applyCraftsmanPhase(snapshot, picker) {
+  const result = simulateCraftsman(stateFromSnapshot(snapshot), picker);
+
+  seatsFor(playerCountOf(snapshot)).forEach(who => {
+    const board = snapshotBoard(snapshot, who);
+    GOOD_TYPES.forEach(good => {
+      board.goods[good] += result[who].produced[good];
+    });
+  });
+  snapshot.session.goodsSupply = result.supplyAfter;
+  return result;
+}
+
+function applyTraderPhase(snapshot, picker) {
+  const result = simulateTrader(stateFromSnapshot(snapshot), picker);
+
+  seatsFor(playerCountOf(snapshot)).forEach(who => {
+    const sale = result[who];
+    if (!sale.sale) return;
+    snapshotBoard(snapshot, who).goods[sale.sale] -= 1;
+    setDoubloons(snapshot.inputs, who, doubloonsOf(snapshot.inputs, who) + sale.income);
+  });
+
+  result.returnedGoods.forEach(good => {
+    snapshot.session.goodsSupply[good] += 1;
+  });
+  snapshot.session.tradingHouse = result.houseAfter;
+  return result;
+}
+
+function applyCaptainPhase(snapshot, picker) {
+  const result = simulateCaptain(stateFromSnapshot(snapshot), picker);
+
+  seatsFor(playerCountOf(snapshot)).forEach(who => {
+    const board = snapshotBoard(snapshot, who);
+    board.goods = result[who].kept;
+    board.vp += result[who].vp;
+  });
+  snapshot.session.cargoShips = result.shipsAfter;
+  snapshot.session.goodsSupply = result.supplyAfter;
+  snapshot.session.vpSupply = result.vpSupplyAfter;
+  if (result.vpSupplyAfter <= 0) triggerGameEnd(snapshot.session, "vp");
+  return result;
+}
+
+// End of round: a doubloon on every role nobody took, all roles back, the Governor
+// passes left and the unchosen plantation tiles are discarded so the row can be refilled.
+function finishRound(snapshot) {
+  const { inputs, session } = snapshot;
+  const playerCount = playerCountOf(snapshot);
+  const setup = setupFor(playerCount);
+  const coinedRoles = [...inputs.availableRoles];
+  coinedRoles.forEach(role => {
+    session.roleCoins[role] = (session.roleCoins[role] || 0) + 1;
+  });
+  inputs.availableRoles = [...setup.roles];
+
+  inputs.governor = seatsFrom(inputs.governor, playerCount)[1];
+  inputs.faceUpPlantations.forEach(tile => {
+    if (tile in session.discardedPlantations) {
+      session.discardedPlantations[tile] += 1;
+    }
+  });
+  inputs.faceUpPlantations = inputs.faceUpPlantations.map(() => "None");
+
+  // Not enough face-down tiles for a full refill: the discards are shuffled back in
+  const { roundState } = stateFromSnapshot(snapshot);
+  if (countTiles(roundState.plantationSupply.stack) < setup.faceUpTiles) {
+    session.discardedPlantations = emptyPlantationCounts();
+  }
+
+  if (session.endTriggers.length && !session.gameOver) {
+    session.gameOver = { round: session.roundNumber, reasons: [...session.endTriggers] };
+  }
+  session.lastRoundEnd = { round: session.roundNumber, coinedRoles, governor: inputs.governor };
+  session.roundNumber += 1;
+  session.turnInRound = 1;
+  session.rolesTakenThisRound = [];
+  inputs.turnNumber = yourPickNumbers(inputs.governor, playerCount)[0];
+}
+
+// A role pick: { type: "move", by: "you" | "opponent" | "opponent2" …, role, plantation?,
+// building?, source: "recommendation" | "manual" | "opponent", reason? }.
+function applyMove(snapshot, move) {
+  const next = cloneSnapshot(snapshot);
+  const { inputs, session } = next;
+  const { by, role, plantation, building } = move;
+  const board = snapshotBoard(next, by);
+  const playerCount = playerCountOf(next);
+  const addDoubloons = n => setDoubloons(inputs, by, doubloonsOf(inputs, by) + n);
+
+  session.lastRoundEnd = null;
+
+  // Whoever takes a role also takes the doubloons that piled up on it
+  addDoubloons(session.roleCoins[role] || 0);
+  session.roleCoins[role] = 0;
+
+  if (role === "Settler" && plantation) {
+    if (plantation === "Quarry") {
+      board.quarries += 1;
+      inputs.quarriesRemaining = Math.max(0, inputs.quarriesRemaining - 1);
+    } else {
+      board.extraPlantations.push(plantation);
+      const index = inputs.faceUpPlantations.indexOf(plantation);
+      if (index >= 0) {
+        inputs.faceUpPlantations[index] = "None";
+      }
+    }
+  }
+
+  if (role === "Builder" && building) {
+    const info = findBuilding(building);
+    const cost = info ? buildCost(info, stateFromSnapshot(next)[by], true) : 0;
+    if (!board.buildings.includes(building)) {
+      board.buildings.push(building);
+    }
+    addDoubloons(-Math.min(cost, doubloonsOf(inputs, by)));
+    if (citySpacesUsed(board) >= CITY_SPACES) triggerGameEnd(session, "city");
+  }
+
+  if (role === "Mayor") applyMayorPhase(next, by);
+  if (role === "Craftsman") applyCraftsmanPhase(next, by);
+  if (role === "Trader") applyTraderPhase(next, by);
+  if (role === "Captain") applyCaptainPhase(next, by);
+
+  if (roleKind(role) === "Prospector") {
+    addDoubloons(1);
+  }
+
+  // Every opponent's picks count towards one table-wide tendency
+  if (by !== "you" && inputs.availableRoles.length) {
+    const share = 1 / inputs.availableRoles.length;
+    inputs.availableRoles.forEach(r => {
+      session.opponentPicks.expected[roleKind(r)] += share;
+    });
+    session.opponentPicks.taken[roleKind(role)] += 1;
+  }
+
+  inputs.availableRoles = inputs.availableRoles.filter(r => r !== role);
+  session.rolesTakenThisRound = [...(session.rolesTakenThisRound || []), role];
+
+  session.turnInRound += 1;
+  if (session.turnInRound > setupFor(playerCount).picksPerRound) {
+    finishRound(next);
+  } else if (by === "you") {
+    const picks = yourPickNumbers(inputs.governor, playerCount);
+    const index = picks.indexOf(inputs.turnNumber);
+    if (index >= 0 && index < picks.length - 1) {
+      inputs.turnNumber = picks[index + 1];
+    }
+  }
+  return next;
+}
+
+// A correction typed into the table: { type: "edit", field, value }, plus index (face-up
+// tile), role (role checkbox) or who (colonist placement, a further opponent's doubloons)
+// where the field needs it.
+function applyEdit(snapshot, edit) {
+  const next = cloneSnapshot(snapshot);
+  const { inputs } = next;
+
+  if (edit.field === "faceUp") {
+    inputs.faceUpPlantations[edit.index] = edit.value;
+  } else if (edit.field === "role") {
+    const available = new Set(inputs.availableRoles);
+    if (edit.value) {
+      available.add(edit.role);
+    } else {
+      available.delete(edit.role);
+    }
+    inputs.availableRoles = setupFor(playerCountOf(next)).roles.filter(role => available.has(role));
+  } else if (edit.field === "colonists") {
+    const board = snapshotBoard(next, edit.who);
+    board.colonists = JSON.parse(JSON.stringify(edit.value.colonists));
+    board.sanJuan = edit.value.sanJuan;
+  } else if (edit.field === "otherDoubloons") {
+    setDoubloons(inputs, edit.who, edit.value);
+  } else {
+    inputs[edit.field] = edit.value;
+  }
+  return next;
+}
+
+function applyAction(snapshot, action) {
+  return action.type === "edit" ? applyEdit(snapshot, action) : applyMove(snapshot, action);
+}
+
+function replayActions(setup, actions) {
+  return actions.reduce(applyAction, setup);
+}
+
+const EDIT_LABELS = {
+  yourDoubloons: "your doubloons",
+  oppDoubloons: "opponent's doubloons",
+  turnNumber: "your pick number",
+  quarriesRemaining: "quarries remaining"
+};
+
+function describeAction(action, playerCount = 2) {
+  const whose = who => {
+    if (who === "you") return "your";
+    return playerCount > 2 ? `${seatLabel(who, playerCount)}'s` : "opponent's";
+  };
+
+  if (action.type === "edit") {
+    if (action.field === "faceUp") return `Set face-up tile ${action.index + 1} to ${action.value}`;
+    if (action.field === "role") return `Marked ${action.role} as ${action.value ? "available" : "taken"}`;
+    if (action.field === "colonists") return `Moved ${whose(action.who)} colonists`;
+    if (action.field === "otherDoubloons") return `Set ${whose(action.who)} doubloons to ${action.value}`;
+    if (action.field === "oppDoubloons" && playerCount > 2) return `Set ${whose("opponent")} doubloons to ${action.value}`;
+    return `Set ${EDIT_LABELS[action.field]} to ${action.value}`;
+  }
+
+  const who = seatLabel(action.by, playerCount);
+  const choice = action.plantation || action.building;
+  const manual = action.source === "manual" ? " (manual)" : "";
+  return `${who}: ${action.role}${choice ? ` → ${choice}` : ""}${manual}`;
+}
+
+// --- Move validation ---
+// Every move and edit is checked against the rules before it is logged. Errors make it
+// illegal; warnings flag input that doesn't match what the helper has tracked. Both
+// come back as { errors, warnings } lists of messages for the player.
+
+// "you", "your opponent" or "Opponent 2", for the middle of a sentence.
+function seatName(who, playerCount = 2) {
+  if (who === "you") return "you";
+  return playerCount > 2 ? seatLabel(who, playerCount) : "your opponent";
+}
+
+function seatPossessive(who, playerCount = 2) {
+  return who === "you" ? "your" : `${seatName(who, playerCount)}'s`;
+}
+
+function islandFull(playerBoard) {
+  return 1 + playerBoard.extraPlantations.length + (playerBoard.quarries || 0) >= ISLAND_SPACES;
+}
+
+function quarriesOnIslands(state) {
+  return state.players.reduce((sum, who) => sum + state[who].quarries, 0);
+}
+
+function validateSettler(state, move, setup, errors, warnings) {
+  const { by, plantation } = move;
+  const board = state[by];
+  const whose = seatPossessive(by, state.playerCount);
+
+  if (!plantation) {
+    warnings.push(`No tile was recorded for the Settler, so ${whose} island stays as it is.`);
+  } else if (islandFull(board)) {
+    errors.push(`${capitalize(whose)} island is full, so there's no space for ${plantation === "Quarry" ? "a quarry" : plantation}.`);
+  } else if (plantation === "Quarry") {
+    if (state.roundState.quarriesRemaining <= 0 || quarriesOnIslands(state) >= setup.quarries) {
+      errors.push(`All ${setup.quarries} quarries are already taken.`);
+    }
+  } else if (!state.roundState.faceUpPlantations.includes(plantation)) {
+    errors.push(`There is no ${plantation} tile in the face-up row.`);
+  }
+}
+
+function validateBuilder(state, move, setup, errors, warnings) {
+  const { by, building } = move;
+  const playerCount = state.playerCount;
+  const board = state[by];
+  const who = seatName(by, playerCount);
+
+  if (!building) {
+    warnings.push(`No building was recorded for the Builder, so ${seatPossessive(by, playerCount)} city stays as it is.`);
+    return;
+  }
+  const info = findBuilding(building);
+  if (!info) {
+    warnings.push(`${building} isn't in the catalogue, so it is recorded without a price or city space.`);
+    return;
+  }
+
+  const owners = state.players.filter(seat => state[seat].buildings.includes(building));
+  const copies = setup.buildingCopies[info.group];
+  if (owners.includes(by)) {
+    errors.push(`${capitalize(who)} already ${by === "you" ? "have" : "has"} a ${building}.`);
+  } else if (owners.length >= copies) {
+    errors.push(copies === 1
+      ? `${capitalize(seatName(owners[0], playerCount))} already built the only ${building}.`
+      : `All ${copies} copies of ${building} are already built.`);
+  }
+  if (!fitsInCity(info, board)) {
+    errors.push(`There's no room for ${building} in ${seatPossessive(by, playerCount)} city.`);
+  }
+  const cost = buildCost(info, board, true);
+  const money = board.doubloons + roleCoinsOn(state.roundState, "Builder");
+  if (cost > money) {
+    errors.push(`${capitalize(who)} can't afford ${building}: it costs ${cost} and ${by === "you" ? "you have" : "they have"} ${money}.`);
+  }
+}
+
+function validateMove(snapshot, move) {
+  const errors = [];
+  const warnings = [];
+  const playerCount = playerCountOf(snapshot);
+  const setup = setupFor(playerCount);
+  const { by, role } = move;
+
+  if (snapshot.session.gameOver) {
+    errors.push("The game is over, so no more roles can be taken.");
+    return { errors, warnings };
+  }
+
+  const picker = pickerAt(snapshot);
+  if (by !== picker) {
+    const turn = `turn ${snapshot.session.turnInRound} of ${setup.picksPerRound}`;
+    errors.push(`It is ${seatPossessive(picker, playerCount)} pick (${turn}), not ${by === "you" ? "yours" : seatPossessive(by, playerCount)}.`);
+  }
+  if (!setup.roles.includes(role)) {
+    errors.push(`${role} isn't played with ${playerCount} players.`);
+  } else if (!snapshot.inputs.availableRoles.includes(role)) {
+    errors.push(`${role} has already been taken this round.`);
+  }
+
+  const state = stateFromSnapshot(snapshot);
+  if (role === "Settler") validateSettler(state, move, setup, errors, warnings);
+  if (role === "Builder") validateBuilder(state, move, setup, errors, warnings);
+  return { errors, warnings };
+}
+
+function validateEdit(snapshot, edit) {
+  const errors = [];
+  const warnings = [];
+  const playerCount = playerCountOf(snapshot);
+  const setup = setupFor(playerCount);
+  const doubloonSeat = edit.field === "otherDoubloons"
+    ? edit.who
+    : Object.keys(DOUBLOON_FIELDS).find(who => DOUBLOON_FIELDS[who] === edit.field);
+
+  if (doubloonSeat) {
+    const tracked = doubloonsOf(snapshot.inputs, doubloonSeat);
+    if (!Number.isInteger(edit.value) || edit.value < 0) {
+      errors.push("Doubloons must be a whole number of 0 or more.");
+    } else if (edit.value !== tracked) {
+      warnings.push(`The moves so far leave ${seatName(doubloonSeat, playerCount)} with ${tracked} doubloon${tracked === 1 ? "" : "s"}, not ${edit.value}.`);
+    }
+  }
+
+  if (edit.field === "quarriesRemaining") {
+    const onIslands = quarriesOnIslands(stateFromSnapshot(snapshot));
+    const expected = Math.max(0, setup.quarries - onIslands);
+    if (!Number.isInteger(edit.value) || edit.value < 0) {
+      errors.push("Quarries remaining must be a whole number of 0 or more.");
+    } else if (edit.value !== expected) {
+      warnings.push(`With ${onIslands} of the ${setup.quarries} quarries on islands, ${expected} should be left, not ${edit.value}.`);
+    }
+  }
+
+  if (edit.field === "role" && edit.value && (snapshot.session.rolesTakenThisRound || []).includes(edit.role)) {
+    errors.push(`${edit.role} was picked this round, so it can't be made available again until the next round.`);
+  }
+
+  if (edit.field === "colonists") {
+    const board = snapshotBoard(snapshot, edit.who);
+    const { colonists, sanJuan } = edit.value;
+    const counts = [sanJuan, colonists.quarries, ...Object.values(colonists.plantations), ...Object.values(colonists.buildings)];
+    const has = placedColonists(board.colonists) + board.sanJuan;
+    const wants = placedColonists(colonists) + sanJuan;
+    if (!counts.every(n => Number.isInteger(n) && n >= 0)) {
+      errors.push("Colonist counts must be whole numbers of 0 or more.");
+    } else if (wants > has) {
+      errors.push(`${capitalize(seatName(edit.who, playerCount))} ${edit.who === "you" ? "have" : "has"} ${has} colonist${has === 1 ? "" : "s"}, not ${wants}; more only come from the Mayor.`);
+    }
+  }
+
+  if (edit.field === "faceUp" && edit.value in setup.plantationTiles) {
+    const without = applyEdit(snapshot, { ...edit, value: "None" });
+    const { stack } = stateFromSnapshot(without).roundState.plantationSupply;
+    if (!stack[edit.value]) {
+      warnings.push(`By the helper's count no ${edit.value} tiles are left to draw; check the islands and the row.`);
+    }
+  }
+  return { errors, warnings };
+}
+
+function validateAction(snapshot, action) {
+  return action.type === "edit" ? validateEdit(snapshot, action) : validateMove(snapshot, action);
+}
+
+// --- Lookahead search over the rest of the round ---
+// Plays out the remaining picks with applyMove, you maximising and the opponent
+// minimising the same evaluation. Iterative deepening keeps the best fully searched
+// depth, so the time budget can cut a search short without losing its answer.
+
+// Rough VP-equivalents for what a board holds.
+const EVALUATION_WEIGHTS = {
+  vp: 1,              // shipped VP chips
+  buildingVp: 1,      // printed VP on buildings
+  buildingValue: 0.5, // per point of the profile's value for the building (engine worth)
+  doubloon: 0.45,
+  production: 0.8,    // per barrel the board produces each Craftsman
+  goods: 0.5,         // per point of GOOD_VALUES in storage
+  plantation: 0.35,
+  quarry: 0.6,
+  mannedQuarry: 0.4,
+  colonist: 0.25      // per colonist on the island or in San Juan
+};
+
+const SEARCH_DEFAULTS = { maxDepth: 4, timeBudgetMs: 400 };
+
+// Builder branches only on the best few buildings so the tree stays small enough for a phone.
+const SEARCH_BUILDER_OPTIONS = 3;
+
+function playerValue(board) {
+  const w = EVALUATION_WEIGHTS;
+  const buildings = board.buildings.map(findBuilding).filter(Boolean);
+  const production = Object.values(productionCapacity(board)).reduce((sum, n) => sum + n, 0);
+
+  return w.vp * board.vp +
+    buildings.reduce((sum, b) => sum + w.buildingVp * b.vp + w.buildingValue * buildingValue(b), 0) +
+    w.doubloon * board.doubloons +
+    w.production * production +
+    w.goods * goodsValue(board.goods) +
+    w.plantation * (1 + board.extraPlantations.length) +
+    w.quarry * board.quarries +
+    w.mannedQuarry * board.colonists.quarries +
+    w.colonist * totalColonists(board);
+}
+
+// Positive when the position favours you over the strongest opponent.
+function evaluatePosition(snapshot) {
+  const state = stateFromSnapshot(snapshot);
+  return playerValue(state.you) - Math.max(...rivalsOf(state).map(who => playerValue(state[who])));
+}
+
+function pickerAt(snapshot) {
+  const { inputs, session } = snapshot;
+  return pickOrder(inputs.governor, playerCountOf(snapshot))[session.turnInRound - 1] || "you";
+}
+
+// A state turned round the table so `who` sits in "you" and everyone keeps their
+// place clockwise from there.
+function seatView(state, who) {
+  if (who === "you") return state;
+  const players = state.players || ["you", "opponent"];
+  const n = players.length;
+  const shift = players.indexOf(who);
+  const view = { ...state, isGovernor: !state.isGovernor };
+  players.forEach((seat, i) => {
+    view[seat] = state[players[(i + shift) % n]];
+  });
+  if (state.governor) {
+    view.governor = players[(players.indexOf(state.governor) - shift + n) % n];
+    view.isGovernor = view.governor === "you";
+  }
+  return view;
+}
+
+// The state seen from one player's chair, so the "you"-side helpers work for any player.
+function stateFor(snapshot, who) {
+  return seatView(stateFromSnapshot(snapshot), who);
+}
+
+function candidateMoves(snapshot, who) {
+  const state = stateFor(snapshot, who);
+  const { roundState } = state;
+  const context = { turnNumber: snapshot.session.turnInRound, roundNumber: state.roundNumber, roundState };
+  const choices = [];
+
+  roundState.availableRoles.forEach(role => {
+    if (role === "Settler") {
+      const full = islandFull(state.you);
+      const tiles = full ? [] : [...new Set(roundState.faceUpPlantations.filter(tile => tile && tile !== "None"))];
+      if (!full && roundState.quarriesRemaining > 0) tiles.push("Quarry");
+      if (!tiles.length) choices.push({ role });
+      tiles.forEach(plantation => choices.push({ role, plantation }));
+    } else if (role === "Builder") {
+      const options = getBuilderOptions(state.you, context).slice(0, SEARCH_BUILDER_OPTIONS);
+      if (!options.length) choices.push({ role });
+      options.forEach(opt => choices.push({ role, building: opt.building.name }));
+    } else {
+      choices.push({ role });
+    }
+  });
+
+  return choices.map(choice => ({
+    type: "move",
+    by: who,
+    plantation: null,
+    building: null,
+    source: "lookahead",
+    ...choice
+  }));
+}
+
+// Best { value, line } below this node, or null once the deadline has passed.
+function searchNode(snapshot, depth, alpha, beta, deadline) {
+  if (Date.now() > deadline) return null;
+
+  const who = pickerAt(snapshot);
+  const moves = depth > 0 ? candidateMoves(snapshot, who) : [];
+  if (!moves.length) {
+    return { value: evaluatePosition(snapshot), line: [] };
+  }
+
+  let best = null;
+  for (const move of moves) {
+    const child = searchNode(applyMove(snapshot, move), depth - 1, alpha, beta, deadline);
+    if (!child) return null;
+
+    const improves = !best || (who === "you" ? child.value > best.value : child.value < best.value);
+    if (improves) {
+      best = { value: child.value, line: [move, ...child.line] };
+    }
+    if (who === "you") {
+      alpha = Math.max(alpha, child.value);
+    } else {
+      beta = Math.min(beta, child.value);
+    }
+    if (alpha >= beta) break;
+  }
+  return best;
+}
+
+// Every root move gets a full window so the ranking below the best line is exact too.
+function searchRoot(snapshot, moves, depth, deadline) {
+  const lines = [];
+  for (const move of moves) {
+    const child = searchNode(applyMove(snapshot, move), depth - 1, -Infinity, Infinity, deadline);
+    if (!child) return null;
+    lines.push({ move, value: child.value, line: [move, ...child.line] });
+  }
+  return lines;
+}
+
+// Ranks the next picker's moves by where the rest of the round leads. Values are
+// relative to the current position and always from your side of the table.
+function searchRound(snapshot, options = {}) {
+  const { maxDepth, timeBudgetMs } = { ...SEARCH_DEFAULTS, ...options };
+  const started = Date.now();
+  const picker = pickerAt(snapshot);
+  const picksLeft = setupFor(playerCountOf(snapshot)).picksPerRound + 1 - snapshot.session.turnInRound;
+  const depthLimit = Math.max(1, Math.min(maxDepth, picksLeft));
+  const baseline = evaluatePosition(snapshot);
+
+  let moves = candidateMoves(snapshot, picker);
+  let lines = [];
+  let depth = 0;
+  for (let d = 1; d <= depthLimit; d++) {
+    // The one-pick pass always finishes, however small the budget
+    const deadline = d === 1 ? Infinity : started + timeBudgetMs;
+    const found = searchRoot(snapshot, moves, d, deadline);
+    if (!found) break;
+
+    found.sort((a, b) => (picker === "you" ? b.value - a.value : a.value - b.value));
+    lines = found;
+    depth = d;
+    moves = found.map(entry => entry.move);
+  }
+
+  return {
+    picker,
+    depth,
+    depthLimit,
+    elapsedMs: Date.now() - started,
+    lines: lines.map(entry => ({ ...entry, gain: entry.value - baseline }))
+  };
+}
+
+function describeLine(line, playerCount = 2) {
+  return line.map(move => {
+    const choice = move.plantation || move.building;
+    const who = move.by === "you" ? "you" : playerCount > 2 ? seatLabel(move.by, playerCount) : "they";
+    return `${who} ${move.role}${choice ? `→${choice}` : ""}`;
+  }).join(", ");
+}
+
+// --- Monte Carlo evaluation ---
+// Many random continuations per candidate move: fresh plantation tiles are drawn at
+// each round end and both players follow recommendMoves, sampling among its top picks
+// so the opponent isn't perfectly predictable. Runs in montecarlo-worker.js.
+
+const MONTE_CARLO_DEFAULTS = {
+  rounds: 2,              // the rest of this round plus the next one
+  maxPlayouts: 200,       // per candidate move
+  timeBudgetMs: 4000,
+  progressEveryMs: 250
+};
+
+// Top picks the playout policy chooses between, and how sharply it prefers the best.
+const PLAYOUT_CHOICES = 3;
+const PLAYOUT_TEMPERATURE = 0.5;
+
+function pickWeighted(items, weights, random) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let roll = random() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+function playoutMove(snapshot, random) {
+  const who = pickerAt(snapshot);
+  const state = stateFor(snapshot, who);
+  state.turnNumber = snapshot.session.turnInRound;
+  if (who !== "you") {
+    state.preferences = [];
+  }
+
+  const recs = recommendMoves(state).slice(0, PLAYOUT_CHOICES);
+  if (!recs.length) {
+    const moves = candidateMoves(snapshot, who);
+    return moves[Math.floor(random() * moves.length)];
+  }
+
+  const weights = recs.map(rec => Math.exp((rec.score - recs[0].score) / PLAYOUT_TEMPERATURE));
+  const rec = pickWeighted(recs, weights, random);
+  return {
+    type: "move",
+    by: who,
+    role: rec.role,
+    plantation: rec.plantation || null,
+    building: rec.building || null,
+    source: "playout"
+  };
+}
+
+// Outcome of one continuation: the evaluation once the horizon round is over.
+function playout(snapshot, firstMove, rounds, random) {
+  const lastRound = snapshot.session.roundNumber + rounds - 1;
+  let current = applyMove(snapshot, firstMove);
+
+  while (current.session.roundNumber <= lastRound && !current.session.gameOver) {
+    if (current.session.lastRoundEnd) {
+      const { stack } = stateFromSnapshot(current).roundState.plantationSupply;
+      const tiles = setupFor(playerCountOf(current)).faceUpTiles;
+      current.inputs.faceUpPlantations = drawPlantationTiles(stack, tiles, random);
+    }
+    const move = playoutMove(current, random);
+    if (!move) break;
+    current = applyMove(current, move);
+  }
+  return evaluatePosition(current);
+}
+
+// Mean with a 95% confidence range for the mean.
+function summarizeOutcomes(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const margin = n > 1 ? 1.96 * Math.sqrt(variance / n) : 0;
+  return { playouts: n, mean, low: mean - margin, high: mean + margin };
+}
+
+// Plays every candidate the same number of times, round-robin, until the playout cap
+// or the time budget; onProgress gets interim results. Values are gains for you.
+function runMonteCarlo(snapshot, options = {}) {
+  const { rounds, maxPlayouts, timeBudgetMs, progressEveryMs } = { ...MONTE_CARLO_DEFAULTS, ...options };
+  const random = options.random || Math.random;
+  const started = Date.now();
+  const picker = pickerAt(snapshot);
+  const baseline = evaluatePosition(snapshot);
+  const candidates = candidateMoves(snapshot, picker).map(move => ({ move, outcomes: [] }));
+
+  const results = () => ({
+    picker,
+    rounds,
+    elapsedMs: Date.now() - started,
+    moves: candidates
+      .map(({ move, outcomes }) => ({ move, ...summarizeOutcomes(outcomes) }))
+      .sort((a, b) => (picker === "you" ? b.mean - a.mean : a.mean - b.mean))
+  });
+
+  let lastProgress = started;
+  for (let i = 0; i < maxPlayouts && Date.now() - started < timeBudgetMs; i++) {
+    candidates.forEach(candidate => {
+      candidate.outcomes.push(playout(snapshot, candidate.move, rounds, random) - baseline);
+    });
+    if (options.onProgress && Date.now() - lastProgress >= progressEveryMs) {
+      options.onProgress(results());
+      lastProgress = Date.now();
+    }
+  }
+  return results();
+}
+
+// --- Opponent prediction ---
+// The scorers run from the opponent's chair and their scores become pick probabilities;
+// each role is then weighted by how much more (or less) often the opponent has taken it
+// this game than a random picker would have.
+
+const PREDICTION_TEMPERATURE = 0.6;
+// A predicted pick below this chance isn't worth a warning on our recommendations.
+const PREDICTION_WARNING_THRESHOLD = 0.25;
+
+function opponentRoleTendency(opponentPicks, role) {
+  const kind = roleKind(role);
+  return (opponentPicks.taken[kind] + 1) / (opponentPicks.expected[kind] + 1);
+}
+
+// The next pick number this round that isn't yours.
+function opponentPickNumber(governor, turnInRound, playerCount = 2) {
+  const order = pickOrder(governor, playerCount);
+  const next = order.findIndex((who, i) => i + 1 >= turnInRound && who !== "you");
+  return next >= 0 ? next + 1 : turnInRound;
+}
+
+// Which opponent takes that pick.
+function opponentAtPick(governor, pickNumber, playerCount = 2) {
+  const who = pickOrder(governor, playerCount)[pickNumber - 1];
+  return who && who !== "you" ? who : "opponent";
+}
+
+function predictOpponentMoves(state, opponentPicks, turnNumber, who = "opponent") {
+  const theirState = { ...seatView(state, who), turnNumber, preferences: [] };
+  const recs = recommendMoves(theirState);
+  if (!recs.length) return [];
+
+  const top = recs[0].score;
+  const weights = recs.map(rec =>
+    Math.exp((rec.score - top) / PREDICTION_TEMPERATURE) * opponentRoleTendency(opponentPicks, rec.role));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  return recs
+    .map((rec, i) => ({
+      role: rec.role,
+      plantation: rec.plantation || null,
+      building: rec.building || null,
+      probability: weights[i] / total
+    }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+function predictedChance(prediction, matches) {
+  return prediction.filter(matches).reduce((sum, pick) => sum + pick.probability, 0);
+}
+
+function describePick(pick) {
+  const choice = pick.plantation || pick.building;
+  return `${pick.role}${choice ? ` → ${choice}` : ""}`;
+}
+
+// A line for a recommendation that also takes away something they're likely to want.
+function predictionWarning(rec, prediction, roundState) {
+  const percent = chance => Math.round(chance * 100);
+
+  if (rec.role === "Settler" && rec.plantation) {
+    const sameTile = predictedChance(prediction, p => p.role === "Settler" && p.plantation === rec.plantation);
+    if (sameTile >= PREDICTION_WARNING_THRESHOLD) {
+      let what;
+      if (rec.plantation === "Quarry") {
+        what = roundState.quarriesRemaining === 1 ? "the last quarry" : "a quarry";
+      } else {
+        const copies = roundState.faceUpPlantations.filter(tile => tile === rec.plantation).length;
+        what = copies === 1 ? `the ${rec.plantation} tile` : `a ${rec.plantation} tile`;
+      }
+      return `Take Settler now or they'll likely grab ${what} (${percent(sameTile)}% chance it's their next pick).`;
+    }
+  }
+
+  const sameRole = predictedChance(prediction, p => p.role === rec.role);
+  if (sameRole >= PREDICTION_WARNING_THRESHOLD) {
+    return `Taking ${rec.role} also takes it away from them (${percent(sameRole)}% chance it's their next pick).`;
+  }
+  return null;
+}
+
+function annotateRecommendations(recs, prediction, roundState) {
+  recs.forEach(rec => {
+    rec.warning = predictionWarning(rec, prediction, roundState);
+  });
+  return recs;
+}
+
+// Roles they clearly favour or avoid so far, for the prediction panel.
+function describeOpponentTendencies(opponentPicks) {
+  const favours = ROLES.filter(role => opponentRoleTendency(opponentPicks, role) >= 1.5);
+  const avoids = ROLES.filter(role =>
+    opponentPicks.expected[role] >= 1 && opponentRoleTendency(opponentPicks, role) <= 0.5);
+
+  const parts = [];
+  if (favours.length) parts.push(`they favour ${favours.join(", ")}`);
+  if (avoids.length) parts.push(`they avoid ${avoids.join(", ")}`);
+  return parts.length ? `From their picks so far, ${parts.join(" and ")}.` : "";
+}
+
+// --- What-if comparison ---
+// Plays a candidate move on a copy of the position and reports the table it leaves,
+// with the engine's best reply for whoever picks next. applyMove never changes the
+// snapshot it is given, so the live game is untouched.
+
+// The top recommendation for the player about to pick, as a move.
+function bestReply(snapshot) {
+  const who = pickerAt(snapshot);
+  const state = stateFor(snapshot, who);
+  state.turnNumber = snapshot.session.turnInRound;
+  state.preferences = [];
+  const [best] = recommendMoves(state);
+  if (!best) return null;
+  return {
+    type: "move",
+    by: who,
+    role: best.role,
+    plantation: best.plantation || null,
+    building: best.building || null,
+    source: "what-if"
+  };
+}
+
+// { move, errors } for an illegal move; otherwise the position after it (`snapshot`,
+// `state`), its evaluation against now, and the opponent's reply with the evaluation
+// after that. There is no reply when the game is over or you pick again next.
+function whatIf(snapshot, move) {
+  const { errors } = validateMove(snapshot, move);
+  if (errors.length) return { move, errors };
+
+  const before = evaluatePosition(snapshot);
+  const after = applyMove(snapshot, move);
+  const result = {
+    move,
+    errors,
+    snapshot: after,
+    state: stateFromSnapshot(after),
+    gain: evaluatePosition(after) - before,
+    reply: null,
+    gainAfterReply: null
+  };
+
+  if (!after.session.gameOver && pickerAt(after) !== "you") {
+    result.reply = bestReply(after);
+    if (result.reply) {
+      result.gainAfterReply = evaluatePosition(applyMove(after, result.reply)) - before;
+    }
+  }
+  return result;
+}
+
+// --- Save format and game files ---
+// Saves, autosaves and exported games share one versioned record shape; an exported
+// game is a save record with a format tag, so old files go through the same
+// SAVE_MIGRATIONS as old autosaves.
+
+const SAVE_VERSION = 2;
+const GAME_FILE_FORMAT = "puerto-rico-helper-game";
+
+// Upgrades a save written by an older version, one step at a time: { fromVersion: record => record }.
+const SAVE_MIGRATIONS = {
+  // v1 saved a single snapshot; it becomes the setup of a game with no logged actions
+  1: record => ({
+    version: 2,
+    savedAt: record.savedAt,
+    game: { setup: record.state, actions: [], position: 0 }
+  })
+};
+
+// Fills in any session fields added since the data was written.
+function withSessionDefaults(session) {
+  const defaults = createSessionState(session.playerCount);
+  // per-session feedbackCounts were replaced by learned preferences
+  const { feedbackCounts, ...current } = session;
+  const otherOpponents = session.otherOpponents || {};
+  return {
+    ...defaults,
+    ...current,
+    opponent: { ...defaults.opponent, ...session.opponent },
+    otherOpponents: Object.fromEntries(Object.entries(defaults.otherOpponents)
+      .map(([seat, board]) => [seat, { ...board, ...otherOpponents[seat] }]))
+  };
+}
+
+// Runs the migrations, then brings the setup's session up to date.
+function migrateSave(record) {
+  let current = record;
+  while (current.version < SAVE_VERSION) {
+    const migrate = SAVE_MIGRATIONS[current.version];
+    if (!migrate) throw new Error(`No migration from save version ${current.version}`);
+    current = migrate(current);
+  }
+  if (current.version > SAVE_VERSION) {
+    throw new Error(`Save version ${current.version} is newer than this helper (${SAVE_VERSION})`);
+  }
+
+  if (current.game && current.game.setup) {
+    current.game.setup.session = withSessionDefaults(current.game.setup.session || {});
+  }
+  return current;
+}
+
+// Throws with a message fit for the player when the file can't be used.
+function parseGameFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("That file is not valid JSON.");
+  }
+  if (!data || data.format !== GAME_FILE_FORMAT) {
+    throw new Error("That file is not a game exported from this helper.");
+  }
+
+  const { game } = migrateSave(data);
+  if (!game || !game.setup || !Array.isArray(game.actions)) {
+    throw new Error("That game file is missing its setup or move log.");
+  }
+  game.position = Math.max(0, Math.min(game.actions.length, Number(game.position) || 0));
+  return game;
+}
+
+// --- Node exports ---
+// In the browser and the worker everything above is global; Node gets this list.
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    // setup and catalogue
+    TWO_PLAYER_SETUP, PLAYER_COUNT_SETUPS, PLAYER_COUNTS, SEATS, SECOND_PROSPECTOR,
+    GOOD_TYPES, PLANTATION_TYPES, ROLES, BUILDINGS, CITY_SPACES,
+    setupFor, playerCountOf, seatsFor, seatLabel, roleKind, createSessionState, findBuilding,
+    // strategy weights and learned preferences
+    BALANCED_WEIGHTS, BUILT_IN_PROFILES, mergeWeights, useStrategyWeights,
+    PROFILE_FILE_FORMAT, makeProfileFile, parseProfileFile,
+    useLearnedPreferences, preferenceContext, preferenceBonus, rememberPreference,
+    // scorers
+    recommendMoves, ruledOutMoves, scorePlantationChoice, scoreQuarryChoice, scoreBuildingChoice, getBuilderOptions,
+    buildCost, citySpacesUsed, plantationStack, plantationDrawOdds, drawPlantationTiles, scoreBreakdown,
+    // phases
+    simulateMayor, simulateCraftsman, simulateTrader, simulateCaptain,
+    // snapshots and transitions
+    yourPickNumbers, pickOrder, createSetupSnapshot, stateFromSnapshot, stateFor, pickerAt,
+    applyMove, applyEdit, applyAction, replayActions, describeAction,
+    validateMove, validateEdit, validateAction, soldOutBuildings, islandFull,
+    // search, Monte Carlo and prediction
+    evaluatePosition, candidateMoves, searchRound, describeLine, runMonteCarlo,
+    opponentPickNumber, opponentAtPick, predictOpponentMoves, annotateRecommendations, describePick,
+    whatIf,
+    // save format
+    SAVE_VERSION, GAME_FILE_FORMAT, withSessionDefaults, migrateSave, parseGameFile
+  };
+}
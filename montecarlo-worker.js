@@ -0,0 +1,18 @@
+// Runs Monte Carlo playouts off the main thread so the page stays responsive.
+// Message in: { snapshot, options, weights, preferences } (the active strategy profile and learned preferences). Messages out: { type: "progress" | "done", results }.
+importScripts("engine.js");
+
+self.onmessage = event => {
+  const { snapshot, options, weights, preferences } = event.data;
+  if (weights) {
+    useStrategyWeights(weights);
+  }
+  if (preferences) {
+    useLearnedPreferences(preferences);
+  }
+  const results = runMonteCarlo(snapshot, {
+    ...options,
+    onProgress: progress => self.postMessage({ type: "progress", results: progress })
+  });
+  self.postMessage({ type: "done", results });
+};
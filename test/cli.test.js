@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+const engine = require("../engine.js");
+const { parseArgs, readPosition } = require("../cli.js");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "pr-helper-"));
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeTemp(name, data) {
+  const file = path.join(tempDir, name);
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+const setup = engine.createSetupSnapshot("you", ["Corn", "Coffee", "Sugar"]);
+
+test("arguments: file, --top, --profile and --json", () => {
+  assert.deepEqual(parseArgs(["pos.json", "--top", "2", "--profile", "corn-shipping", "--json"]),
+    { file: "pos.json", top: 2, profile: "corn-shipping", json: true });
+  assert.throws(() => parseArgs([]), /No position file/);
+  assert.throws(() => parseArgs(["pos.json", "--top", "0"]), /--top/);
+  assert.throws(() => parseArgs(["pos.json", "--profile", "nope"]), /Unknown profile/);
+});
+
+test("an exported game is read at its current position in the log", () => {
+  const game = {
+    setup,
+    actions: [
+      { type: "move", by: "you", role: "Settler", plantation: "Coffee", building: null, source: "manual" },
+      { type: "move", by: "opponent", role: "Prospector", plantation: null, building: null, source: "opponent" }
+    ],
+    position: 1
+  };
+  const text = JSON.stringify({ format: engine.GAME_FILE_FORMAT, version: engine.SAVE_VERSION, savedAt: "", game });
+  const snapshot = readPosition(text);
+  assert.deepEqual(snapshot.session.extraPlantations, ["Coffee"]);
+  assert.equal(snapshot.session.turnInRound, 2);
+});
+
+test("a bare snapshot gets any missing session fields filled in", () => {
+  const { endTriggers, gameOver, ...session } = setup.session;
+  const snapshot = readPosition(JSON.stringify({ inputs: setup.inputs, session }));
+  assert.deepEqual(snapshot.session.endTriggers, []);
+  assert.throws(() => readPosition('{"hello":1}'), /Expected a game/);
+});
+
+test("prints ranked recommendations with explanations", () => {
+  const out = execFileSync(process.execPath, [CLI, writeTemp("position.json", setup), "--top", "2"], { encoding: "utf8" });
+  assert.match(out, /^Round 1, turn 1 of 6 – it is your pick\./);
+  assert.match(out, /\n1\. Take .+ \(score \d+\.\d\d\)\n {3}\S/);
+  assert.match(out, /\n2\. Take /);
+  assert.doesNotMatch(out, /\n3\. /);
+});
+
+test("when the opponent is to pick, the list is their moves, not yours", () => {
+  const after = engine.applyMove(setup, {
+    type: "move", by: "you", role: "Settler", plantation: "Coffee", building: null, source: "manual"
+  });
+  const out = execFileSync(process.execPath, [CLI, writeTemp("opponent.json", after), "--json"], { encoding: "utf8" });
+  const state = engine.stateFor(after, "opponent");
+  state.turnNumber = after.session.turnInRound;
+  state.preferences = [];
+  const expected = engine.recommendMoves(state);
+
+  assert.equal(engine.pickerAt(after), "opponent");
+  const text = execFileSync(process.execPath, [CLI, writeTemp("opponent.json", after)], { encoding: "utf8" });
+  assert.match(text, /^Round 1, turn 2 of 6 – it is your opponent's pick\.\n\n1\. /);
+  assert.deepEqual(JSON.parse(out).map(rec => rec.title), expected.slice(0, 5).map(rec => rec.title));
+  assert.notDeepEqual(expected.map(rec => rec.title),
+    engine.recommendMoves({ ...engine.stateFromSnapshot(after), preferences: [] }).map(rec => rec.title));
+});
+
+test("--json prints the same ranking the engine gives", () => {
+  const out = execFileSync(process.execPath, [CLI, writeTemp("position.json", setup), "--json", "--top", "3"], { encoding: "utf8" });
+  const ranked = JSON.parse(out);
+  const expected = engine.recommendMoves({ ...engine.stateFromSnapshot(setup), preferences: [] });
+  assert.deepEqual(ranked.map(rec => rec.title), expected.slice(0, 3).map(rec => rec.title));
+});
+
+test("bad input exits non-zero with a message", () => {
+  const missing = spawnSync(process.execPath, [CLI], { encoding: "utf8" });
+  assert.equal(missing.status, 2);
+  assert.match(missing.stderr, /Usage:/);
+
+  const broken = spawnSync(process.execPath, [CLI, writeTemp("broken.json", { nope: true })], { encoding: "utf8" });
+  assert.equal(broken.status, 1);
+  assert.match(broken.stderr, /Expected a game/);
+
+  const unplayable = spawnSync(process.execPath, [CLI, writeTemp("empty.json", { inputs: {}, session: {} })], { encoding: "utf8" });
+  assert.equal(unplayable.status, 1);
+  assert.match(unplayable.stderr, /^Could not rank the moves for /);
+});
@@ -0,0 +1,498 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+
+function setup(governor = "you") {
+  return engine.createSetupSnapshot(governor, ["Corn", "Coffee", "Sugar"]);
+}
+
+// Whoever's pick it is takes the role.
+function play(snapshot, role, extra = {}) {
+  return engine.applyMove(snapshot, {
+    type: "move",
+    by: engine.pickerAt(snapshot),
+    role,
+    plantation: extra.plantation || null,
+    building: extra.building || null,
+    source: "recommendation"
+  });
+}
+
+function board(overrides = {}) {
+  return {
+    startingPlantation: "Indigo",
+    extraPlantations: [],
+    quarries: 0,
+    buildings: [],
+    colonists: { plantations: {}, quarries: 0, buildings: {} },
+    sanJuan: 0,
+    goods: { Corn: 0, Indigo: 0, Sugar: 0, Tobacco: 0, Coffee: 0 },
+    vp: 0,
+    doubloons: 0,
+    ...overrides
+  };
+}
+
+test.beforeEach(() => {
+  engine.useStrategyWeights({});
+  engine.useLearnedPreferences([]);
+});
+
+// --- Setup ---
+
+test("the Governor starts with Indigo and 3 doubloons, the other player with Corn and 2", () => {
+  const { inputs, session } = setup("opponent");
+  assert.equal(session.startingPlantations.opponent, "Indigo");
+  assert.equal(session.startingPlantations.you, "Corn");
+  assert.equal(inputs.oppDoubloons, 3);
+  assert.equal(inputs.yourDoubloons, 2);
+  assert.deepEqual(engine.yourPickNumbers("opponent"), [2, 4, 6]);
+  assert.equal(engine.pickerAt(setup("opponent")), "opponent");
+});
+
+test("each player count gets its own crops, doubloons, tiles, roles, colonists and ships", () => {
+  const { inputs, session } = engine.createSetupSnapshot("opponent2", ["None", "None", "None", "None", "None"], 4);
+  assert.equal(session.playerCount, 4);
+  assert.deepEqual(session.startingPlantations,
+    { opponent2: "Indigo", opponent3: "Indigo", you: "Corn", opponent: "Corn" });
+  assert.deepEqual([inputs.yourDoubloons, inputs.oppDoubloons, inputs.otherDoubloons.opponent2], [3, 3, 3]);
+  assert.equal(inputs.quarriesRemaining, 8);
+  assert.equal(session.colonistShip, 4);
+  assert.equal(session.colonistSupply, 75);
+  assert.deepEqual(session.cargoShips.map(ship => ship.capacity), [5, 6, 7]);
+  assert.deepEqual(Object.keys(session.otherOpponents), ["opponent2", "opponent3"]);
+
+  assert.ok(!engine.setupFor(3).roles.includes("Prospector"));
+  assert.equal(engine.setupFor(5).roles.filter(role => engine.roleKind(role) === "Prospector").length, 2);
+  assert.equal(engine.setupFor(5).faceUpTiles, 6);
+});
+
+test("with more players each picks once a round, clockwise from the Governor", () => {
+  let snapshot = engine.createSetupSnapshot("opponent2", ["Corn", "Coffee", "Sugar", "Indigo"], 3);
+  assert.deepEqual(engine.pickOrder("opponent2", 3), ["opponent2", "you", "opponent"]);
+  assert.deepEqual(engine.yourPickNumbers("opponent2", 3), [2]);
+  assert.equal(snapshot.inputs.turnNumber, 2);
+
+  const pickers = [];
+  ["Settler", "Builder", "Trader"].forEach(role => {
+    pickers.push(engine.pickerAt(snapshot));
+    snapshot = play(snapshot, role);
+  });
+  assert.deepEqual(pickers, ["opponent2", "you", "opponent"]);
+  assert.equal(snapshot.session.roundNumber, 2);
+  assert.equal(snapshot.inputs.governor, "you");
+  assert.deepEqual(snapshot.session.lastRoundEnd.coinedRoles, ["Mayor", "Craftsman", "Captain"]);
+  assert.equal(snapshot.inputs.availableRoles.length, 6);
+});
+
+test("phases run round the whole table and the state turns for each seat", () => {
+  let snapshot = engine.createSetupSnapshot("you", ["None", "None", "None", "None", "None", "None"], 5);
+  snapshot = play(snapshot, "Mayor");
+  const { session } = snapshot;
+  // 1 privilege colonist plus 5 on the ship, one each
+  const received = ["you", "opponent", "opponent2", "opponent3", "opponent4"].map(who => {
+    const board = who === "you" ? session : who === "opponent" ? session.opponent : session.otherOpponents[who];
+    return board.sanJuan + Object.values(board.colonists.plantations).reduce((sum, n) => sum + n, 0);
+  });
+  assert.deepEqual(received, [2, 1, 1, 1, 1]);
+  assert.equal(session.colonistSupply, 95 - 1 - 5);
+
+  const view = engine.stateFor(snapshot, "opponent3");
+  const state = engine.stateFromSnapshot(snapshot);
+  assert.deepEqual(view.you, state.opponent3);
+  assert.deepEqual(view.opponent, state.opponent4);
+  assert.deepEqual(view.opponent2, state.you);
+  assert.equal(view.isGovernor, false);
+  assert.equal(engine.stateFor(snapshot, "opponent").governor, "opponent4");
+});
+
+test("taking the second Prospector earns a doubloon and leaves the first on the table", () => {
+  const snapshot = engine.createSetupSnapshot("you", ["None", "None", "None", "None", "None", "None"], 5);
+  const after = play(snapshot, engine.SECOND_PROSPECTOR);
+  assert.equal(after.inputs.yourDoubloons, 5);
+  assert.ok(after.inputs.availableRoles.includes("Prospector"));
+  assert.ok(!after.inputs.availableRoles.includes(engine.SECOND_PROSPECTOR));
+  const recs = engine.recommendMoves(engine.stateFromSnapshot(snapshot));
+  assert.equal(recs.filter(rec => engine.roleKind(rec.role) === "Prospector").length, 1);
+});
+
+// --- Scorers ---
+
+test("a quarry is worth more before you have one than after your third", () => {
+  const { roundState } = engine.stateFromSnapshot(setup());
+  const context = { turnNumber: 3, roundNumber: 1, roundState };
+  const first = engine.scorePlantationChoice("Quarry", board(), board(), context).score;
+  const fourth = engine.scorePlantationChoice("Quarry", board({ quarries: 3 }), board(), context).score;
+  assert.ok(first > fourth);
+});
+
+test("strategy profiles change the plantation scores", () => {
+  const { roundState } = engine.stateFromSnapshot(setup());
+  const context = { turnNumber: 1, roundNumber: 1, roundState };
+  const balanced = engine.scorePlantationChoice("Corn", board(), board(), context).score;
+  engine.useStrategyWeights(engine.BUILT_IN_PROFILES["corn-shipping"].weights);
+  assert.ok(engine.scorePlantationChoice("Corn", board(), board(), context).score > balanced);
+});
+
+test("every score is the sum of its labelled parts", () => {
+  const state = engine.stateFromSnapshot(setup());
+  state.preferences = [];
+  const recs = engine.recommendMoves(state);
+  recs.forEach(rec => {
+    const total = rec.parts.reduce((sum, part) => sum + part.value, 0);
+    assert.ok(Math.abs(total - rec.score) < 1e-9, rec.title);
+  });
+
+  const corn = recs.find(rec => rec.plantation === "Corn");
+  assert.deepEqual(corn.parts.map(part => part.label), ["base value", "synergy", "deny bonus", "early-turn bonus"]);
+  const quarried = board({ doubloons: 5, quarries: 2, colonists: { plantations: {}, quarries: 2, buildings: {} } });
+  const university = engine.scoreBuildingChoice(engine.findBuilding("University"), quarried, { turnNumber: 1, roundNumber: 1 });
+  assert.deepEqual(university.parts.slice(-2), [{ label: "cost penalty", value: -7 * 0.2 }, { label: "quarry discount", value: 2 * 0.2 }]);
+});
+
+test("the full list gives a reason for every move that was left out", () => {
+  let snapshot = play(setup(), "Mayor");
+  snapshot = play(snapshot, "Prospector");
+  const state = engine.stateFromSnapshot(snapshot);
+  const ruledOut = engine.ruledOutMoves(state);
+
+  assert.ok(ruledOut.some(move => move.role === "Mayor" && move.reason === "Mayor has already been taken this round."));
+  assert.ok(ruledOut.some(move => move.reason === "Can't afford Coffee Roaster: it costs 5 and you have 3."));
+  const ranked = engine.recommendMoves(state).map(rec => rec.building).filter(Boolean);
+  ruledOut.forEach(move => assert.ok(!ranked.includes(move.building)));
+});
+
+test("profile files with anything but numbers for a weight are rejected with a readable message", () => {
+  const file = weights => JSON.stringify({ format: engine.PROFILE_FILE_FORMAT, version: 1, name: "Mine", weights });
+  assert.deepEqual(engine.parseProfileFile(file({ otherRole: 0.5 })), { name: "Mine", weights: { otherRole: 0.5 } });
+  assert.throws(() => engine.parseProfileFile(file({ synergy: null })), /"Settler synergy" must hold numbers only\./);
+  assert.throws(() => engine.parseProfileFile(file({ otherRole: null })), /"Other roles" must hold numbers only\./);
+  assert.throws(() => engine.parseProfileFile(file({ quarry: { base: "high" } })), /"Quarries" must hold numbers only\./);
+  assert.throws(() => engine.parseProfileFile(file({ roles: null })), /Unknown weight group "roles"/);
+});
+
+test("Builder options only include buildings you can afford, don't own and have room for", () => {
+  const { roundState } = engine.stateFromSnapshot(setup());
+  const context = { turnNumber: 1, roundNumber: 1, roundState };
+  const you = board({ doubloons: 3, buildings: ["Small Market"] });
+  const names = engine.getBuilderOptions(you, context).map(option => option.building.name);
+
+  assert.ok(names.includes("Indigo Plant"));            // 3, less the privilege
+  assert.ok(names.includes("Sugar Mill"));              // 4 - 1 = 3
+  assert.ok(!names.includes("Tobacco Storage"));        // 5 - 1 = 4
+  assert.ok(!names.includes("Small Market"));
+  engine.getBuilderOptions(you, context).forEach(option => assert.ok(option.cost <= you.doubloons));
+});
+
+test("build cost takes the Builder privilege and manned quarries, capped by the column", () => {
+  const university = engine.findBuilding("University");
+  const smallMarket = engine.findBuilding("Small Market");
+  const quarried = board({ quarries: 3, colonists: { plantations: {}, quarries: 3, buildings: {} } });
+  const unmanned = board({ quarries: 3 });
+
+  assert.equal(engine.buildCost(university, quarried, true), 8 - 1 - 3);
+  assert.equal(engine.buildCost(university, unmanned, false), 8);
+  assert.equal(engine.buildCost(smallMarket, quarried, true), 0);
+});
+
+test("recommendations are sorted, only use open roles and include learned preferences", () => {
+  const snapshot = setup();
+  snapshot.inputs.availableRoles = ["Settler", "Prospector"];
+  const state = engine.stateFromSnapshot(snapshot);
+
+  const recs = engine.recommendMoves({ ...state, preferences: [] });
+  recs.slice(1).forEach((rec, i) => assert.ok(recs[i].score >= rec.score));
+  recs.forEach(rec => assert.ok(["Settler", "Prospector"].includes(rec.role)));
+
+  const context = engine.preferenceContext(state);
+  const preferences = engine.rememberPreference([], "Prospector", null, null, context);
+  const learned = engine.recommendMoves({ ...state, preferences });
+  const before = recs.find(rec => rec.role === "Prospector");
+  const after = learned.find(rec => rec.role === "Prospector");
+  assert.ok(after.preference > 0);
+  assert.equal(after.score, before.score + after.preference);
+});
+
+test("learned preferences count less in a different spot and fade with time", () => {
+  const context = { turnNumber: 1, isGovernor: true, doubloons: 3, startingCrop: "Indigo" };
+  const entries = engine.rememberPreference([], "Settler", "Corn", null, context, Date.parse("2026-01-01"));
+  const now = Date.parse("2026-01-01");
+
+  const same = engine.preferenceBonus("Settler", "Corn", null, context, entries, now);
+  const elsewhere = engine.preferenceBonus("Settler", "Corn", null, { ...context, isGovernor: false }, entries, now);
+  const later = engine.preferenceBonus("Settler", "Corn", null, context, entries, now + 30 * 86400000);
+  assert.ok(same > elsewhere);
+  assert.ok(Math.abs(later - same / 2) < 1e-9);
+  assert.equal(engine.preferenceBonus("Settler", "Sugar", null, context, entries, now), 0);
+});
+
+// --- Transitions ---
+
+test("moves return a new snapshot and leave the old one alone", () => {
+  const before = setup();
+  const copy = JSON.parse(JSON.stringify(before));
+  play(before, "Settler", { plantation: "Coffee" });
+  assert.deepEqual(before, copy);
+});
+
+test("Settler takes the tile from the row, or a quarry from the supply", () => {
+  const tile = play(setup(), "Settler", { plantation: "Coffee" });
+  assert.deepEqual(tile.session.extraPlantations, ["Coffee"]);
+  assert.deepEqual(tile.inputs.faceUpPlantations, ["Corn", "None", "Sugar"]);
+  assert.equal(tile.session.turnInRound, 2);
+
+  const quarry = play(setup(), "Settler", { plantation: "Quarry" });
+  assert.equal(quarry.session.quarries, 1);
+  assert.equal(quarry.inputs.quarriesRemaining, 4);
+});
+
+test("Builder pays the build cost and Prospector earns a doubloon", () => {
+  const built = play(setup(), "Builder", { building: "Indigo Plant" });
+  assert.deepEqual(built.session.buildings, ["Indigo Plant"]);
+  assert.equal(built.inputs.yourDoubloons, 3 - 2);
+
+  const prospected = play(setup(), "Prospector");
+  assert.equal(prospected.inputs.yourDoubloons, 4);
+});
+
+test("after six picks the Governor passes, roles reset and the unpicked role earns a coin", () => {
+  let snapshot = setup();
+  ["Settler", "Builder", "Mayor", "Craftsman", "Trader", "Captain"].forEach(role => {
+    snapshot = play(snapshot, role, role === "Settler" ? { plantation: "Corn" } : {});
+  });
+
+  assert.equal(snapshot.session.roundNumber, 2);
+  assert.equal(snapshot.session.turnInRound, 1);
+  assert.equal(snapshot.inputs.governor, "opponent");
+  assert.equal(snapshot.inputs.availableRoles.length, 7);
+  assert.equal(snapshot.session.roleCoins.Prospector, 1);
+  assert.deepEqual(snapshot.inputs.faceUpPlantations, ["None", "None", "None"]);
+
+  const collected = play(snapshot, "Prospector");
+  assert.equal(collected.inputs.oppDoubloons, snapshot.inputs.oppDoubloons + 2);
+  assert.equal(collected.session.roleCoins.Prospector, 0);
+});
+
+test("Mayor hands out the ship's colonists and refills it from the supply", () => {
+  const snapshot = play(setup(), "Mayor");
+  const { session } = snapshot;
+  const placed = [session, session.opponent].reduce((sum, player) =>
+    sum + player.sanJuan + Object.values(player.colonists.plantations).reduce((a, n) => a + n, 0), 0);
+
+  assert.equal(placed, 3);                              // 2 from the ship, 1 privilege
+  assert.equal(session.colonistShip, 2);                // never fewer than the player count
+  assert.equal(session.colonistSupply, 40 - 1 - 2);
+});
+
+test("Captain ships goods for VP and running out of chips ends the game after the round", () => {
+  let snapshot = setup();
+  snapshot.session.goods.Corn = 3;
+  snapshot.session.vpSupply = 2;
+  snapshot = play(snapshot, "Captain");
+
+  assert.equal(snapshot.session.vp, 3 + 1);             // 3 barrels and the Captain privilege
+  assert.ok(snapshot.session.vpSupply <= 0);
+  assert.deepEqual(snapshot.session.endTriggers, ["vp"]);
+  assert.equal(snapshot.session.gameOver, null);
+
+  ["Settler", "Builder", "Mayor", "Craftsman", "Trader"].forEach(role => {
+    snapshot = play(snapshot, role);
+  });
+  assert.deepEqual(snapshot.session.gameOver, { round: 1, reasons: ["vp"] });
+});
+
+test("replaying the action log gives the same position as applying it move by move", () => {
+  const actions = [
+    { type: "move", by: "you", role: "Settler", plantation: "Coffee", building: null, source: "manual" },
+    { type: "edit", field: "oppDoubloons", value: 5 },
+    { type: "move", by: "opponent", role: "Builder", plantation: null, building: "Small Market", source: "opponent" }
+  ];
+  let stepped = setup();
+  actions.forEach(action => {
+    stepped = engine.applyAction(stepped, action);
+  });
+  assert.deepEqual(engine.replayActions(setup(), actions), stepped);
+  assert.equal(stepped.inputs.oppDoubloons, 5);          // Small Market is free with the Builder privilege
+});
+
+// --- Move validation ---
+
+function move(by, role, extra = {}) {
+  return { type: "move", by, role, plantation: extra.plantation || null, building: extra.building || null, source: "manual" };
+}
+
+test("moves by the wrong player, or of a taken role, are refused", () => {
+  const snapshot = play(setup(), "Mayor");
+  const wrong = engine.validateMove(snapshot, move("you", "Craftsman"));
+  assert.deepEqual(wrong.errors, ["It is your opponent's pick (turn 2 of 6), not yours."]);
+
+  const taken = engine.validateMove(snapshot, move("opponent", "Mayor"));
+  assert.deepEqual(taken.errors, ["Mayor has already been taken this round."]);
+  assert.deepEqual(engine.validateMove(snapshot, move("opponent", "Craftsman")), { errors: [], warnings: [] });
+});
+
+test("Settler may only take a tile from the row or one of the quarries left", () => {
+  const snapshot = setup();
+  assert.deepEqual(engine.validateMove(snapshot, move("you", "Settler", { plantation: "Tobacco" })).errors,
+    ["There is no Tobacco tile in the face-up row."]);
+
+  snapshot.session.opponent.quarries = 5;
+  snapshot.inputs.quarriesRemaining = 0;
+  assert.deepEqual(engine.validateMove(snapshot, move("you", "Settler", { plantation: "Quarry" })).errors,
+    ["All 5 quarries are already taken."]);
+});
+
+test("Builder refuses buildings the player can't afford or that are all taken", () => {
+  let snapshot = setup();
+  assert.deepEqual(engine.validateMove(snapshot, move("you", "Builder", { building: "Coffee Roaster" })).errors,
+    ["You can't afford Coffee Roaster: it costs 5 and you have 3."]);
+
+  snapshot = play(snapshot, "Builder", { building: "Small Market" });
+  snapshot.inputs.availableRoles.push("Builder");
+  assert.deepEqual(engine.validateMove(snapshot, move("opponent", "Builder", { building: "Small Market" })).errors,
+    ["You already built the only Small Market."]);
+
+  const state = engine.stateFromSnapshot(snapshot);
+  const options = engine.getBuilderOptions(state.opponent, { turnNumber: 2, roundNumber: 1, roundState: state.roundState });
+  assert.ok(!options.some(opt => opt.building.name === "Small Market"));
+});
+
+test("hand corrections that don't match the tracked state are warned about", () => {
+  const snapshot = setup();
+  assert.deepEqual(engine.validateEdit(snapshot, { type: "edit", field: "oppDoubloons", value: 4 }).warnings,
+    ["The moves so far leave your opponent with 2 doubloons, not 4."]);
+  assert.deepEqual(engine.validateEdit(snapshot, { type: "edit", field: "quarriesRemaining", value: 6 }).warnings,
+    ["With 0 of the 5 quarries on islands, 5 should be left, not 6."]);
+  assert.deepEqual(engine.validateEdit(snapshot, { type: "edit", field: "yourDoubloons", value: -1 }).errors,
+    ["Doubloons must be a whole number of 0 or more."]);
+
+  snapshot.session.opponent.extraPlantations = ["Coffee", "Coffee", "Coffee", "Coffee"];
+  assert.deepEqual(engine.validateEdit(snapshot, { type: "edit", field: "faceUp", index: 0, value: "Coffee" }).warnings,
+    ["By the helper's count no Coffee tiles are left to draw; check the islands and the row."]);
+});
+
+test("a role picked this round can't be ticked available again until the next round", () => {
+  let snapshot = play(setup(), "Mayor");
+  const reopen = { type: "edit", field: "role", role: "Mayor", value: true };
+  assert.deepEqual(engine.validateEdit(snapshot, reopen).errors,
+    ["Mayor was picked this round, so it can't be made available again until the next round."]);
+
+  const unticked = engine.applyEdit(snapshot, { type: "edit", field: "role", role: "Trader", value: false });
+  assert.deepEqual(engine.validateEdit(unticked, { ...reopen, role: "Trader" }).errors, []);
+
+  ["Builder", "Craftsman", "Trader", "Captain", "Settler"].forEach(role => {
+    snapshot = play(snapshot, role);
+  });
+  assert.deepEqual(engine.validateEdit(snapshot, reopen).errors, []);
+});
+
+test("moving colonists can't place more than the player has", () => {
+  const snapshot = setup();
+  snapshot.session.sanJuan = 2;
+  const placed = plantations => ({
+    type: "edit",
+    field: "colonists",
+    who: "you",
+    value: { colonists: { plantations, quarries: 0, buildings: {} }, sanJuan: 0 }
+  });
+
+  assert.deepEqual(engine.validateEdit(snapshot, placed({ Indigo: 2 })).errors, []);
+  assert.deepEqual(engine.validateEdit(snapshot, placed({ Indigo: 3 })).errors,
+    ["You have 2 colonists, not 3; more only come from the Mayor."]);
+  assert.deepEqual(engine.validateEdit(snapshot, placed({ Indigo: -1 })).errors,
+    ["Colonist counts must be whole numbers of 0 or more."]);
+});
+
+// --- End-game scoring ---
+
+test("manned large buildings add their bonus to the score", () => {
+  const you = board({
+    extraPlantations: ["Corn", "Sugar", "Sugar", "Coffee", "Indigo", "Tobacco", "Corn", "Indigo"],
+    quarries: 2,
+    buildings: ["Small Indigo Plant", "Sugar Mill", "Guild Hall", "Residence", "Fortress", "Customs House", "City Hall", "Harbor"],
+    colonists: {
+      plantations: { Corn: 1 },
+      quarries: 1,
+      buildings: { "Guild Hall": 1, Residence: 1, Fortress: 1, "Customs House": 1, "City Hall": 1 }
+    },
+    sanJuan: 7,
+    vp: 17
+  });
+  const score = engine.scoreBreakdown(you);
+
+  assert.equal(score.shipping, 17);
+  assert.equal(score.buildings, 1 + 2 + 4 * 5 + 3);
+  assert.deepEqual(score.bonuses, [
+    { name: "Guild Hall", vp: 3 },
+    { name: "Residence", vp: 6 },
+    { name: "Fortress", vp: 4 },
+    { name: "Customs House", vp: 4 },
+    { name: "City Hall", vp: 6 }
+  ]);
+  assert.equal(score.total, 66);
+
+  you.colonists.buildings = {};
+  assert.deepEqual(engine.scoreBreakdown(you).bonuses, []);
+});
+
+// --- Search ---
+
+test("the lookahead returns a line for every candidate, best first for you", () => {
+  const result = engine.searchRound(setup(), { maxDepth: 2, timeBudgetMs: 5000 });
+  assert.equal(result.picker, "you");
+  assert.ok(result.lines.length > 0);
+  result.lines.slice(1).forEach((line, i) => assert.ok(result.lines[i].value >= line.value));
+});
+
+test("the lookahead only considers Settler for the role once your island is full", () => {
+  const snapshot = setup();
+  snapshot.session.extraPlantations = Array(11).fill("Corn");
+  const settler = engine.candidateMoves(snapshot, "you").filter(move => move.role === "Settler");
+  assert.deepEqual(settler.map(move => move.plantation), [null]);
+});
+
+test("Monte Carlo with a seeded random source is repeatable", () => {
+  const seeded = () => {
+    let seed = 7;
+    return () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+  };
+  const options = { rounds: 1, maxPlayouts: 3, timeBudgetMs: 60000 };
+  const a = engine.runMonteCarlo(setup(), { ...options, random: seeded() });
+  const b = engine.runMonteCarlo(setup(), { ...options, random: seeded() });
+  assert.deepEqual(a.moves.map(m => m.mean), b.moves.map(m => m.mean));
+});
+
+test("a what-if plays the move on a copy and finds the opponent's best reply", () => {
+  const snapshot = setup();
+  const copy = JSON.parse(JSON.stringify(snapshot));
+  const result = engine.whatIf(snapshot, move("you", "Settler", { plantation: "Coffee" }));
+
+  assert.deepEqual(snapshot, copy);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.state.you.extraPlantations, ["Coffee"]);
+  assert.equal(result.reply.by, "opponent");
+  assert.ok(result.snapshot.inputs.availableRoles.includes(result.reply.role));
+  assert.equal(typeof result.gainAfterReply, "number");
+
+  const illegal = engine.whatIf(snapshot, move("you", "Builder", { building: "Wharf" }));
+  assert.deepEqual(illegal.errors, ["You can't afford Wharf: it costs 8 and you have 3."]);
+});
+
+// --- Save format ---
+
+test("version 1 saves become a game with no logged actions", () => {
+  const state = setup();
+  const migrated = engine.migrateSave({ version: 1, savedAt: "2026-01-01T00:00:00.000Z", state });
+  assert.equal(migrated.version, engine.SAVE_VERSION);
+  assert.deepEqual(migrated.game.actions, []);
+  assert.equal(migrated.game.setup.inputs.governor, "you");
+  assert.deepEqual(migrated.game.setup.session.endTriggers, []);
+});
+
+test("game files from elsewhere are rejected with a readable message", () => {
+  assert.throws(() => engine.parseGameFile("not json"), /not valid JSON/);
+  assert.throws(() => engine.parseGameFile('{"format":"something-else"}'), /not a game exported/);
+});
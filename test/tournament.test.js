@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../engine.js");
+const { BOTS, seededRandom, playGame, runTournament, formatReport, parseArgs } = require("../tournament.js");
+
+test("the seeded generator repeats for a seed and differs between seeds", () => {
+  const draw = seed => {
+    const random = seededRandom(seed);
+    return [random(), random(), random()];
+  };
+  assert.deepEqual(draw(42), draw(42));
+  assert.notDeepEqual(draw(42), draw(43));
+  draw(42).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test("a self-play game runs until an end condition and scores both sides", () => {
+  const game = playGame({ you: BOTS.recommender, opponent: BOTS.random }, "you", seededRandom(1));
+  assert.ok(Number.isInteger(game.rounds));
+  assert.ok(game.you.vp >= 0 && game.opponent.vp >= 0);
+  assert.ok(["you", "opponent", null].includes(game.winner));
+  assert.ok(game.roles.you.length >= 3 * game.rounds);
+});
+
+test("random bots never fill more than the 12 island spaces", () => {
+  let most = 0;
+  const watched = {
+    name: "Random",
+    choose(snapshot, who, random) {
+      const board = engine.stateFor(snapshot, who).you;
+      most = Math.max(most, 1 + board.extraPlantations.length + board.quarries);
+      return BOTS.random.choose(snapshot, who, random);
+    }
+  };
+  for (let seed = 1; seed <= 20; seed++) {
+    playGame({ you: watched, opponent: watched }, seed % 2 ? "you" : "opponent", seededRandom(seed));
+  }
+  assert.equal(most, 12);
+});
+
+test("a bot plays the same whichever profile was active before its turn", () => {
+  const game = () => playGame({ you: BOTS["greedy-money"], opponent: BOTS.random }, "you", seededRandom(3));
+  engine.useStrategyWeights(engine.BUILT_IN_PROFILES["building-engine"].weights);
+  const afterBuildingEngine = game();
+  engine.useStrategyWeights({});
+  assert.deepEqual(game(), afterBuildingEngine);
+});
+
+test("the same seed gives the same report", () => {
+  const options = { games: 2, seed: 7, bots: ["recommender", "greedy-money", "random"] };
+  const first = runTournament(options);
+  assert.deepEqual(runTournament(options), first);
+  assert.equal(first.matches.length, 3);
+  first.standings.forEach(standing => {
+    assert.equal(standing.games, 4);
+    const share = Object.values(standing.rolePicks).reduce((sum, n) => sum + n, 0);
+    assert.ok(Math.abs(share - 1) < 1e-9);
+  });
+  assert.match(formatReport(first), /^Seed 7, 2 games per pairing\./);
+});
+
+test("arguments are checked", () => {
+  assert.deepEqual(parseArgs(["--games", "10", "--seed", "3", "--bots", "random,recommender"]),
+    { games: 10, seed: 3, bots: ["random", "recommender"], json: false });
+  assert.throws(() => parseArgs(["--games", "0"]), /--games/);
+  assert.throws(() => parseArgs(["--bots", "random,chess"]), /Unknown bot chess/);
+  assert.throws(() => parseArgs(["--bots", "random"]), /at least two/);
+});
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// Seeded self-play between bots, to measure whether a heuristic change plays better.
+//
+//   node tournament.js [--games N] [--seed S] [--bots id,id,...] [--json]
+//
+// Every pair of bots plays N games, swapping seats each game. Plantation refills and
+// the random bot's choices come from one seeded generator, so a seed always gives
+// the same report.
+
+const engine = require("./engine.js");
+
+const USAGE = "Usage: node tournament.js [--games N] [--seed S] [--bots id,id,...] [--json]";
+
+const TOURNAMENT_DEFAULTS = { games: 200, seed: 1 };
+const MAX_ROUNDS = 40;            // safety net; 2-player games end well before this
+
+// mulberry32: small, fast and good enough to shuffle tiles.
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickOne(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function pickContext(snapshot, state) {
+  return { turnNumber: snapshot.session.turnInRound, roundNumber: state.roundNumber, roundState: state.roundState };
+}
+
+// --- Bots ---
+// choose(snapshot, who, random) returns the move `who` makes; each bot sees the table
+// from its own chair through stateFor. playGame switches to the bot's own `weights`
+// (balanced if it has none) before every choice, since the engine keeps one set.
+
+// The helper's own top recommendation under a set of strategy weights.
+function recommenderBot(name, weights) {
+  return {
+    name,
+    weights,
+    choose(snapshot, who, random) {
+      const state = engine.stateFor(snapshot, who);
+      state.turnNumber = snapshot.session.turnInRound;
+      state.preferences = [];
+      const [best] = engine.recommendMoves(state);
+      if (!best) return pickOne(engine.candidateMoves(snapshot, who), random);
+      return {
+        type: "move",
+        by: who,
+        role: best.role,
+        plantation: best.plantation || null,
+        building: best.building || null,
+        source: "tournament"
+      };
+    }
+  };
+}
+
+const doubloonsOf = (snapshot, who) => engine.stateFor(snapshot, who).you.doubloons;
+
+// Whatever leaves it the most doubloons right now; ties are broken at random.
+const greedyMoneyBot = {
+  name: "Greedy money",
+  choose(snapshot, who, random) {
+    const moves = engine.candidateMoves(snapshot, who);
+    const gains = moves.map(move => doubloonsOf(engine.applyMove(snapshot, move), who));
+    const most = Math.max(...gains);
+    return pickOne(moves.filter((move, i) => gains[i] === most), random);
+  }
+};
+
+// A random open role, then a random tile or affordable building for it.
+const randomBot = {
+  name: "Random",
+  choose(snapshot, who, random) {
+    const state = engine.stateFor(snapshot, who);
+    const { roundState } = state;
+    const role = pickOne(roundState.availableRoles, random);
+    const move = { type: "move", by: who, role, plantation: null, building: null, source: "tournament" };
+
+    if (role === "Settler" && !engine.islandFull(state.you)) {
+      const tiles = roundState.faceUpPlantations.filter(tile => tile && tile !== "None");
+      if (roundState.quarriesRemaining > 0) tiles.push("Quarry");
+      move.plantation = tiles.length ? pickOne(tiles, random) : null;
+    } else if (role === "Builder") {
+      const options = engine.getBuilderOptions(state.you, pickContext(snapshot, state));
+      move.building = options.length ? pickOne(options, random).building.name : null;
+    }
+    return move;
+  }
+};
+
+const BOTS = {
+  recommender: recommenderBot("Recommender (balanced)", {}),
+  "corn-shipping": recommenderBot("Recommender (corn shipping)", engine.BUILT_IN_PROFILES["corn-shipping"].weights),
+  "building-engine": recommenderBot("Recommender (building engine)", engine.BUILT_IN_PROFILES["building-engine"].weights),
+  "greedy-money": greedyMoneyBot,
+  random: randomBot
+};
+
+// --- Games ---
+
+function refillPlantations(snapshot, random) {
+  const { stack } = engine.stateFromSnapshot(snapshot).roundState.plantationSupply;
+  const { faceUpTiles } = engine.setupFor(engine.playerCountOf(snapshot));
+  snapshot.inputs.faceUpPlantations = engine.drawPlantationTiles(stack, faceUpTiles, random);
+}
+
+// Official tie-break: doubloons plus goods left in storage.
+function finalResult(snapshot) {
+  const { you, opponent } = engine.stateFromSnapshot(snapshot);
+  const tieBreak = board => board.doubloons + Object.values(board.goods).reduce((sum, n) => sum + n, 0);
+  return {
+    you: { vp: engine.scoreBreakdown(you).total, tieBreak: tieBreak(you) },
+    opponent: { vp: engine.scoreBreakdown(opponent).total, tieBreak: tieBreak(opponent) }
+  };
+}
+
+// bots: { you, opponent }. Returns both scores, the winner ("you", "opponent" or
+// null for a tie) and every role each side took. A bot's illegal move is an error,
+// not a position to score.
+function playGame(bots, governor, random) {
+  let snapshot = engine.createSetupSnapshot(governor, ["None", "None", "None"]);
+  refillPlantations(snapshot, random);
+  const roles = { you: [], opponent: [] };
+
+  while (!snapshot.session.gameOver && snapshot.session.roundNumber <= MAX_ROUNDS) {
+    const who = engine.pickerAt(snapshot);
+    engine.useStrategyWeights(bots[who].weights || {});
+    const move = bots[who].choose(snapshot, who, random);
+    const { errors } = engine.validateMove(snapshot, move);
+    if (errors.length) {
+      throw new Error(`${bots[who].name} made an illegal move (${engine.describeAction(move)}): ${errors.join(" ")}`);
+    }
+    roles[who].push(move.role);
+    snapshot = engine.applyMove(snapshot, move);
+    if (snapshot.session.lastRoundEnd && !snapshot.session.gameOver) {
+      refillPlantations(snapshot, random);
+    }
+  }
+
+  const result = finalResult(snapshot);
+  const diff = result.you.vp - result.opponent.vp || result.you.tieBreak - result.opponent.tieBreak;
+  return {
+    ...result,
+    winner: diff > 0 ? "you" : diff < 0 ? "opponent" : null,
+    rounds: snapshot.session.gameOver ? snapshot.session.gameOver.round : null,
+    roles
+  };
+}
+
+function emptyRecord(id) {
+  return { id, name: BOTS[id].name, games: 0, wins: 0, ties: 0, margin: 0, unfinished: 0, roles: {} };
+}
+
+// Every pair plays `games` games; bot A sits in "you" on even games, and the Governor
+// alternates every other game, so neither side keeps a seat advantage.
+function runTournament({ games, seed, bots }) {
+  const random = seededRandom(seed);
+  const records = Object.fromEntries(bots.map(id => [id, emptyRecord(id)]));
+  const matches = [];
+
+  bots.forEach((a, i) => {
+    bots.slice(i + 1).forEach(b => {
+      const match = { bots: [a, b], games, wins: { [a]: 0, [b]: 0 }, ties: 0, margin: 0 };
+      for (let g = 0; g < games; g++) {
+        const seats = g % 2 === 0 ? { you: a, opponent: b } : { you: b, opponent: a };
+        const governor = Math.floor(g / 2) % 2 === 0 ? "you" : "opponent";
+        const game = playGame({ you: BOTS[seats.you], opponent: BOTS[seats.opponent] }, governor, random);
+
+        ["you", "opponent"].forEach(seat => {
+          const other = seat === "you" ? "opponent" : "you";
+          const record = records[seats[seat]];
+          record.games += 1;
+          record.margin += game[seat].vp - game[other].vp;
+          if (game.winner === seat) record.wins += 1;
+          if (!game.winner) record.ties += 1;
+          if (game.rounds === null) record.unfinished += 1;
+          game.roles[seat].forEach(role => {
+            record.roles[role] = (record.roles[role] || 0) + 1;
+          });
+        });
+
+        if (game.winner) match.wins[seats[game.winner]] += 1;
+        else match.ties += 1;
+        match.margin += (seats.you === a ? 1 : -1) * (game.you.vp - game.opponent.vp);
+      }
+      match.margin /= games;
+      matches.push(match);
+    });
+  });
+
+  engine.useStrategyWeights({});
+  const standings = bots.map(id => {
+    const record = records[id];
+    const picks = Object.values(record.roles).reduce((sum, n) => sum + n, 0);
+    return {
+      id,
+      name: record.name,
+      games: record.games,
+      winRate: record.wins / record.games,
+      tieRate: record.ties / record.games,
+      averageMargin: record.margin / record.games,
+      unfinished: record.unfinished,
+      rolePicks: Object.fromEntries(engine.ROLES.map(role => [role, (record.roles[role] || 0) / picks]))
+    };
+  }).sort((x, y) => y.winRate - x.winRate);
+
+  return { seed, games, standings, matches };
+}
+
+// --- Report ---
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const signed = value => `${value >= 0 ? "+" : ""}${value.toFixed(1)}`;
+
+function formatReport(report) {
+  const lines = [`Seed ${report.seed}, ${report.games} games per pairing.`, "", "Standings:"];
+  report.standings.forEach(s => {
+    const unfinished = s.unfinished ? `, ${s.unfinished} unfinished` : "";
+    lines.push(`  ${s.name}: ${percent(s.winRate)} wins, average margin ${signed(s.averageMargin)} VP ` +
+      `(${s.games} games${unfinished})`);
+  });
+
+  lines.push("", "Head to head:");
+  report.matches.forEach(({ bots: [a, b], wins, ties, margin }) => {
+    lines.push(`  ${BOTS[a].name} vs ${BOTS[b].name}: ${wins[a]}–${wins[b]}` +
+      `${ties ? ` (${ties} tied)` : ""}, margin ${signed(margin)} VP`);
+  });
+
+  lines.push("", "Role picks (share of each bot's picks):");
+  report.standings.forEach(s => {
+    lines.push(`  ${s.name}: ${engine.ROLES.map(role => `${role} ${percent(s.rolePicks[role])}`).join(", ")}`);
+  });
+  return lines.join("\n");
+}
+
+function parseArgs(argv) {
+  const options = { ...TOURNAMENT_DEFAULTS, bots: Object.keys(BOTS), json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--games" || arg === "--seed") {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < (arg === "--games" ? 1 : 0)) {
+        throw new Error(`${arg} needs a whole number${arg === "--games" ? " of at least 1" : ""}.`);
+      }
+      options[arg.slice(2)] = value;
+    } else if (arg === "--bots") {
+      options.bots = String(argv[++i] || "").split(",").filter(Boolean);
+      const unknown = options.bots.filter(id => !BOTS[id]);
+      if (unknown.length) {
+        throw new Error(`Unknown bot ${unknown.join(", ")}. Bots: ${Object.keys(BOTS).join(", ")}.`);
+      }
+      if (options.bots.length < 2) {
+        throw new Error("--bots needs at least two bots.");
+      }
+    } else {
+      throw new Error(`Unknown option ${arg}.`);
+    }
+  }
+  return options;
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n${USAGE}`);
+    return 2;
+  }
+
+  const report = runTournament(options);
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { BOTS, seededRandom, playGame, runTournament, formatReport, parseArgs };